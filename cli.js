@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+
+const config = require(`${__dirname}/server.config`)
+
+/**
+ * Options recognized by the commands (in addition to '--config', '--print-config' and settings overrides, see server.config.js).
+ */
+const cliOptions = {
+    flags: [ 'json', 'help' ],
+    values: [ 'output', 'format' ]
+}
+
+const quiet = () => {}
+
+/**
+ * Prints the given rows as aligned columns.
+ *
+ * @param {Array} columns Names of the columns (keys in the rows).
+ * @param {Array} rows Objects to print.
+ */
+function printTable(columns, rows) {
+    const text = v => (v === undefined || v === null) ? '' : (Array.isArray(v) ? v.join(',') : `${v}`)
+    const widths = columns.map(c => Math.max(c.length, ...rows.map(r => text(r[c]).length)))
+    const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd()
+
+    console.log(line(columns))
+    rows.forEach(r => console.log(line(columns.map(c => text(r[c])))))
+}
+
+/**
+ * Finds the package.json file of the package containing the given file.
+ *
+ * @param {string} filePath Path to a file in the package.
+ * @returns The parsed package.json, or null if it could not be found.
+ */
+function findPackage(filePath) {
+    let dir = path.dirname(filePath)
+    while (true) {
+        let candidate = path.join(dir, 'package.json')
+        if (fs.existsSync(candidate)) {
+            return JSON.parse(fs.readFileSync(candidate, 'utf8'))
+        }
+        let parent = path.dirname(dir)
+        if (parent === dir) {
+            return null
+        }
+        dir = parent
+    }
+}
+
+const commands = {
+
+    start: {
+        description: "Start the server.",
+        run: async (loaded, argv) => {
+            require(`${__dirname}/start`)({ argv, baseDir: process.cwd() })
+            return null
+        }
+    },
+
+    'validate-config': {
+        description: "Validate the settings (including component specifications) without starting the server.",
+        run: async (loaded) => {
+            const Morrigan = require(`${__dirname}/server`)
+            const validation = require(`${__dirname}/server.validation`)
+
+            let morrigan = new Morrigan(loaded.settings)
+            morrigan.log = quiet
+
+            let report = morrigan.validateSettings()
+
+            if (loaded.args.options.json) {
+                console.log(JSON.stringify(report, null, 4))
+            } else if (report.valid) {
+                console.log(`Settings are valid${loaded.file ? ` (${loaded.file})` : ''}.`)
+            } else {
+                console.log(validation.format(report))
+            }
+
+            return report.valid ? 0 : 1
+        }
+    },
+
+    info: {
+        description: "Print the server info stored in the state directory.",
+        run: async (loaded) => {
+            const StateStore = require('@adicitus/morrigan.utils.statestore')
+
+            let stateDir = loaded.settings.stateDir
+            if (!fs.existsSync(stateDir)) {
+                console.error(`No server state found (looked in '${stateDir}').`)
+                return 1
+            }
+
+            let store = await StateStore(stateDir)
+            let info = await require(`${__dirname}/server.info`).build(store, { readOnly: true })
+            info.stateDir = stateDir
+
+            if (loaded.args.options.json) {
+                console.log(JSON.stringify(info, null, 4))
+            } else {
+                printTable([ 'key', 'value' ], Object.keys(info).filter(k => k !== 'startTime').map(k => ({ key: k, value: info[k] })))
+            }
+
+            return info.id === null ? 1 : 0
+        }
+    },
+
+    instances: {
+        description: "List the server instances in the cluster.",
+        run: async (loaded) => {
+            const DataStore = require('@adicitus/morrigan.utils.datastore')
+            const instances = require(`${__dirname}/server.instances`)
+
+            let database = loaded.settings.database || {}
+            let datastore = await DataStore(database.connectionString, { dbName: database.dbname })
+
+            try {
+                let collection = await datastore.collection('morrigan.instances')
+                let members = await instances.list(collection, instances.getSettings(loaded.settings.cluster), (msg, level) => console.error(`${level}: ${msg}`))
+
+                if (loaded.args.options.json) {
+                    console.log(JSON.stringify(members, null, 4))
+                } else {
+                    printTable([ 'id', 'hostname', 'version', 'status', 'leader', 'checkInTime' ], members)
+                }
+            } finally {
+                await datastore.discard()
+            }
+
+            return 0
+        }
+    },
+
+    components: {
+        description: "List the configured components and resolve their modules.",
+        run: async (loaded) => {
+            const specs = loaded.settings.components || {}
+            const baseDir = loaded.file ? path.dirname(loaded.file) : process.cwd()
+
+            let rows = Object.keys(specs).map(name => {
+                let spec = specs[name] || {}
+                let row = { name, module: spec.module, dependsOn: spec.dependsOn || [], version: null, resolved: null, status: 'ok' }
+
+                switch (typeof spec.module) {
+                    case 'string':
+                        try {
+                            row.resolved = require.resolve(spec.module, { paths: [ baseDir, __dirname ] })
+                            let pkg = findPackage(row.resolved)
+                            row.version = pkg && pkg.version
+                        } catch (e) {
+                            row.status = 'not found'
+                        }
+                        break
+                    case 'object':
+                    case 'function':
+                        row.module = 'anonymous'
+                        row.version = spec.module.version
+                        break
+                    default:
+                        row.status = 'no module'
+                }
+
+                return row
+            })
+
+            if (loaded.args.options.json) {
+                console.log(JSON.stringify(rows, null, 4))
+            } else {
+                printTable([ 'name', 'module', 'version', 'dependsOn', 'status', 'resolved' ], rows)
+            }
+
+            return rows.every(r => r.status === 'ok') ? 0 : 1
+        }
+    },
+
+    openapi: {
+        description: "Write the OpenAPI document to a file ('--output <path>') or stdout ('--format json|yaml'), without a database or listener.",
+        run: async (loaded) => {
+            const Morrigan = require(`${__dirname}/server`)
+
+            let output = loaded.args.options.output
+            let format = loaded.args.options.format
+            let settings = loaded.settings
+            if (!output) {
+                // Keep stdout clean for the document:
+                let logger = Object.assign({}, settings.logger, { console: false })
+                if (Array.isArray(logger.transports)) {
+                    logger.transports = logger.transports.filter(t => t.type !== 'console')
+                }
+                settings = Object.assign({}, settings, { logger })
+            }
+
+            let morrigan = new Morrigan(settings)
+            if (!output) {
+                morrigan.log = quiet
+            }
+
+            let doc = await morrigan.generateOpenApi({ output, format })
+
+            if (output) {
+                console.log(`OpenAPI document written to '${output}'.`)
+            } else {
+                console.log(Morrigan.serializeApiDoc(doc, format || 'json'))
+            }
+
+            return 0
+        }
+    }
+}
+
+function printHelp() {
+    console.log('Usage: morrigan <command> [--config <path>] [--<setting> <value>] [--json]')
+    console.log('')
+    console.log('Commands:')
+    printTable([ 'command', 'description' ], Object.keys(commands).map(name => ({ command: name, description: commands[name].description })))
+}
+
+async function main(argv) {
+    let loaded = null
+    try {
+        loaded = config.load({ argv, baseDir: process.cwd(), cliOptions })
+    } catch (err) {
+        console.error(`Failed to load server settings: ${err}`)
+        return 1
+    }
+
+    // Printing the settings does not need a command:
+    if (loaded.args.printConfig) {
+        console.log(JSON.stringify(config.redact(loaded.settings), null, 4))
+        return 0
+    }
+
+    let commandName = loaded.args.positional[0]
+    let command = commands[commandName]
+
+    if (!command || loaded.args.options.help) {
+        printHelp()
+        return command || loaded.args.options.help ? 0 : 1
+    }
+
+    try {
+        return await command.run(loaded, argv.filter(a => a !== commandName))
+    } catch (err) {
+        console.error(`'${commandName}' failed: ${err}`)
+        return 1
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    if (code !== null) {
+        process.exit(code)
+    }
+})
@@ -1,16 +1,43 @@
 const fs = require('fs')
+const { AsyncLocalStorage } = require('async_hooks')
+const {v4: uuidv4} = require('uuid')
 const winston = require('winston')
-require('winston-daily-rotate-file')
 const morgan = require('morgan')
+const transportsApi = require(`${__dirname}/logger.transports`)
+
+/**
+ * Async context holding the ID of the request being handled, so that it can be added to all messages logged while
+ * handling the request.
+ */
+const requestContext = new AsyncLocalStorage()
+
+/**
+ * Format used for request IDs received in the 'X-Request-Id' header, other values are replaced with a generated ID.
+ */
+const requestIdFormat = /^[A-Za-z0-9\-_.:@+=\/]{1,128}$/
+
+/**
+ * Format of the line logged for each request.
+ */
+const requestLine = morgan.compile('--> :remote-addr :method :url :status - :res[content-length]b :response-time ms')
+
+/**
+ * Minimum number of milliseconds between reports of failures of the same log transport.
+ */
+const transportFailureInterval = 60000
 
 /**
  * Class containing logging functionality for Morrigan.
  */
 class Logger {
 
-    _consoleLogger = null
     _engine=null
-    _logDir='/morrigan.server/logs'
+    _meta = {}
+    _transports = {}
+    _dataStore = null
+    _settings = {}
+    _overrides = {}
+    _transportFailures = new Map()
 
     log = null
 
@@ -18,22 +45,12 @@ class Logger {
 
         settings = settings || {}
 
-        const logFormat = winston.format.printf(({level, message, timestamp}) => {
-            return `${timestamp} ${level.padEnd(7)} | ${message}`
-        })
-
         let logLevel = settings.level || 'info'
 
-        // Default transport:
-        this._consoleLogger = new winston.transports.Console()
-
+        // The format and transports are set by 'configure':
         this._engine = winston.createLogger({
             level: logLevel,
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                logFormat
-            ),
-            transports: [ this._consoleLogger ]
+            transports: []
         })
 
         this.log = this.getLog()
@@ -44,83 +61,409 @@ class Logger {
     /**
      * Configure the logger on the given application using the proviede settings.
      * 
-     * Supported settings:
-     *  - console {boolean}: Whether to log messages to the console (default: true).
-     *  - logDir  {string}:  Folder to store log files in (remove or leave empty to disable file logging).
+     * See 'configure' for supported settings.
      * @param {object} app Express application.
      * @param {object} settings Object containing logging settings.
      */
     _setup(app, settings) {
 
-        if (!settings) {
-            settings = {}
+        this.configure(settings)
+
+        // Assign an ID to each request (or use the one provided by the client or a proxy), and make it available to
+        // everything logged while handling the request:
+        app.use((req, res, next) => {
+            let id = req.headers['x-request-id']
+            if (typeof id !== 'string' || !requestIdFormat.test(id)) {
+                id = uuidv4()
+            }
+            req.id = id
+            res.setHeader('X-Request-Id', id)
+            requestContext.run({ requestId: id }, next)
+        })
+
+        // Setup request logging:
+        app.use(
+            morgan((tokens, req, res) => {
+                this._engine.log({
+                    level: 'http',
+                    message: requestLine(tokens, req, res),
+                    http: {
+                        remoteAddr: tokens['remote-addr'](req, res),
+                        method: tokens.method(req, res),
+                        url: tokens.url(req, res),
+                        status: res.headersSent ? res.statusCode : undefined,
+                        contentLength: res.getHeader('content-length') !== undefined ? Number(res.getHeader('content-length')) : undefined,
+                        responseTime: Number(tokens['response-time'](req, res))
+                    }
+                })
+                // Nothing for morgan to write, the entry has already been logged:
+                return null
+            })
+        )
+    }
+
+    /**
+     * Builds the format applied to all log entries before they are passed to the transports.
+     * 
+     * Every entry is given a timestamp, the server ID and hostname (once set, see 'setServerInfo'), and the ID of
+     * the request being handled (if any), and is then formatted using the default output format. Transports with a
+     * format of their own replace the output.
+     * 
+     * @param {string} format Default output format (see '_buildOutputFormat').
+     * @returns A winston format.
+     */
+    _buildContextFormat(format) {
+        const addContext = winston.format(info => {
+            Object.assign(info, this._meta)
+            let context = requestContext.getStore()
+            if (context) {
+                info.requestId = context.requestId
+            }
+            return info
+        })
+
+        return winston.format.combine(
+            winston.format.timestamp(),
+            addContext(),
+            this._buildOutputFormat(format)
+        )
+    }
+
+    /**
+     * Builds the format used by a transport to write log entries.
+     * 
+     * @param {string} format Output format: 'text' (default) for 'timestamp level | message' lines, or 'json' for one JSON object per entry.
+     * @returns A winston format.
+     */
+    _buildOutputFormat(format) {
+        return format === 'json'
+            ? winston.format.json()
+            : winston.format.printf(({level, message, timestamp, component}) => {
+                return `${timestamp} ${level.padEnd(7)} | ${component ? `[${component}] ` : ''}${message}`
+            })
+    }
+
+    /**
+     * Adds the ID and hostname of the server to all log entries.
+     * 
+     * @param {object} serverInfo Server info object (see server.info.js).
+     */
+    setServerInfo(serverInfo) {
+        this._meta = { serverId: serverInfo.id, hostname: serverInfo.hostname }
+    }
+
+    /**
+     * Provides the DataStore used by 'mongo' transports. Entries logged to these transports are buffered until this is called.
+     * 
+     * @param {object} dataStore The root DataStore of the server, or null to stop writing to it (e.g. before disconnecting).
+     */
+    async setDataStore(dataStore) {
+        this._dataStore = dataStore
+        await Promise.all(Object.values(this._transports).filter(t => typeof t.attach === 'function').map(t => t.attach(dataStore)))
+    }
+
+    /**
+     * Returns the collection written to by the first 'mongo' transport (the log sink queried by '/api/logs').
+     * 
+     * @returns The collection, or null if no 'mongo' transport is configured or the DataStore has not been provided.
+     */
+    getSinkCollection() {
+        let sink = Object.values(this._transports).find(t => t instanceof transportsApi.MongoTransport)
+        return sink ? sink.getCollection() : null
+    }
+
+    /**
+     * Builds the list of transport definitions from the logger settings.
+     * 
+     * If 'transports' is not specified, the logger writes to the console (unless 'console' is false) and to files in 'logDir'.
+     * 
+     * @param {object} settings Object containing logging settings.
+     * @returns Array of transport definitions.
+     */
+    _getTransportDefinitions(settings) {
+        if (Array.isArray(settings.transports)) {
+            return settings.transports
         }
 
-        if (settings.console !== undefined && settings.console === false) {
-            this._engine.remove(this._consoleLogger)
-        } else {
-            if (!this._engine.transports.includes(this._consoleLogger)) {
-                this._engine.add(this._consoleLogger)
+        let definitions = []
+        if (settings.console !== false) {
+            definitions.push({ type: 'console' })
+        }
+        definitions.push({ type: 'file', dirname: settings.logDir })
+        return definitions
+    }
+
+    /**
+     * Ensures that the directory used by a file transport exists and is accessible.
+     * 
+     * @param {string} dirname Path to the directory.
+     * @returns True if the directory can be used.
+     */
+    _prepareLogDir(dirname) {
+        if(!fs.existsSync(dirname)) {
+
+            this._engine.log('info', `Log dir (${dirname}) does not exist, trying to create it...`)
+
+            try {
+                fs.mkdirSync(dirname, {recursive: true})
+            } catch(e) {
+                this._engine.log('error', `Failed to create log directory.`)
+                this._engine.log('error', JSON.stringify(e))
+                return false
             }
         }
 
-        if (settings.logDir) {
+        try {
+            fs.accessSync(dirname, fs.constants.W_OK | fs.constants.R_OK)
+        } catch(e) {
+            this._engine.log('error', `No read/write access to log directory (${dirname})`)
+            this._engine.log('error', JSON.stringify(e))
+            return false
+        }
+
+        return true
+    }
+
+    /**
+     * Applies the provided settings to the logger.
+     * 
+     * This can be called on a running logger to change its settings without recreating it. Transports whose definition
+     * (and format) did not change are kept, others are closed and replaced.
+     * 
+     * Supported settings:
+     *  - level      {string}:  The level of messages to log (default: 'info').
+     *  - format     {string}:  The format of log entries, 'text' or 'json' (default: 'text').
+     *  - transports {Array}:   Transport definitions (objects with 'type' and the options for that type, see the README). Replaces 'console' and 'logDir'.
+     *  - console    {boolean}: Whether to log messages to the console (default: true).
+     *  - logDir     {string}:  Folder to store log files in (default: '/morrigan.server/logs').
+     *  - componentLevels {object}: Levels to use for entries logged by specific components, by component name.
+     * 
+     * Transport definitions can specify their own 'level' and 'format', which default to the settings above. Transports
+     * with a level of their own are not affected by 'componentLevels' or the overrides set with 'setLevel'.
+     * @param {object} settings Object containing logging settings.
+     */
+    configure(settings) {
+
+        if (!settings) {
+            settings = {}
+        }
+
+        this._settings = settings
+
+        let level = settings.level || 'info'
+
+        this._engine.format = this._buildContextFormat(settings.format)
 
-            if(!fs.existsSync(settings.logDir)) {
+        let transports = {}
+        this._getTransportDefinitions(settings).forEach(definition => {
+            let format = definition.format || settings.format || 'text'
+            // Levels are applied to existing transports, so they are not part of the key:
+            let key = JSON.stringify(Object.assign({}, definition, { format, level: undefined }))
 
-                this._engine.log('info', `Log dir (${settings.logDir}) does not exist, trying to create it...`)
+            if (transports[key]) {
+                return
+            }
 
-                try {
-                    fs.mkdirSync(settings.logDir, {recursive: true})
-                } catch(e) {
-                    this._engine.log('error', `Failed to create log directory.`)
-                    this._engine.log('error', JSON.stringify(e))
+            if (this._transports[key]) {
+                transports[key] = this._transports[key]
+                transports[key].level = definition.level
+                return
+            }
+
+            if (definition.type === 'file') {
+                definition = Object.assign({}, definition, { dirname: definition.dirname || transportsApi.fileDefaults.dirname })
+                if (!this._prepareLogDir(definition.dirname)) {
                     return
                 }
             }
 
             try {
-                fs.accessSync(settings.logDir, fs.constants.W_OK | fs.constants.R_OK)
-            } catch(e) {
-                this._engine.log('error', `No read/write access to log directory (${settings.logDir})`)
-                this._engine.log('error', JSON.stringify(e))
-                return
+                // Transports without a level of their own use the level of the component that logged the entry:
+                let transport = null
+                let filter = winston.format(info => (transport.level || this._isEnabled(info)) ? info : false)
+                transport = transportsApi.create(definition, winston.format.combine(filter(), this._buildOutputFormat(format)))
+                transport.on('warn', err => this._reportTransportFailure(transport, definition.type, err))
+                if (this._dataStore && typeof transport.attach === 'function') {
+                    transport.attach(this._dataStore)
+                }
+                this._engine.add(transport)
+                transports[key] = transport
+            } catch (e) {
+                this._engine.log('error', `Failed to create log transport '${definition.type}': ${e.message || e}`)
+            }
+        })
+
+        Object.keys(this._transports).forEach(key => {
+            if (!transports[key]) {
+                let transport = this._transports[key]
+                this._engine.remove(transport)
+                this._transportFailures.delete(transport)
+                transport.close && transport.close()
             }
+        })
+
+        this._transports = transports
+        this._applyLevels()
+
+        let summary = Object.keys(transports).map(key => {
+            let definition = JSON.parse(key)
+            return definition.type === 'file' ? `file (${fs.realpathSync(definition.dirname || transportsApi.fileDefaults.dirname)})` : definition.type
+        })
+        this._engine.log('info', `Logging to: ${summary.join(', ') || 'nothing'}. Log level is set to: '${level}'`)
+    }
 
-            this._logDir = settings.logDir
+    /**
+     * Returns the level used for entries logged by the given component.
+     * 
+     * @param {string} componentName Name of the component, or undefined for entries not logged by a component.
+     * @returns The level set with 'setLevel' for the component, the one in the 'componentLevels' setting, or the default level (in that order).
+     */
+    getLevel(componentName) {
+        if (componentName) {
+            if (this._overrides[componentName]) {
+                return this._overrides[componentName].level
+            }
+
+            let componentLevels = this._settings.componentLevels || {}
+            if (componentLevels[componentName]) {
+                return componentLevels[componentName]
+            }
         }
 
-        let transport = new winston.transports.DailyRotateFile({
-            filename: 'morrigan-%DATE%.log',
-            datePattern: 'YYYY-MM-DD-HH',
-            dirname: this._logDir,
-            zippedArchive: true,
-            maxSize: '20m',
-            maxFiles: '14d'
+        if (this._overrides['']) {
+            return this._overrides[''].level
+        }
+
+        return this._settings.level || 'info'
+    }
+
+    /**
+     * Returns the current levels, for reporting.
+     * 
+     * @returns An object with the default 'level', the levels of components with a level of their own ('components'), and
+     *  the overrides set with 'setLevel' ('overrides', with the 'component' (null for the default level), 'level',
+     *  'expires', 'origin' and 'setTime' of each).
+     */
+    getLevels() {
+        let components = {}
+        Object.keys(this._settings.componentLevels || {}).concat(Object.keys(this._overrides)).filter(name => name !== '').forEach(name => {
+            components[name] = this.getLevel(name)
         })
 
-        this._engine.add(transport)
+        let overrides = Object.keys(this._overrides).map(key => {
+            let override = this._overrides[key]
+            return { component: key || null, level: override.level, expires: override.expires, origin: override.origin, setTime: override.setTime }
+        })
 
-        // Setup request logging:
-        app.use(
-            morgan(
-                '--> :remote-addr :method :url :status - :res[content-length]b :response-time ms',
-                {
-                    stream: {
-                        write: (msg) => this.log(msg.trim(), 'http')
+        return { level: this.getLevel(), components, overrides }
+    }
+
+    /**
+     * Overrides the level for a component (or the default level) until it is reset or expires.
+     * 
+     * @param {string} level The level to use, or null to remove the override.
+     * @param {string} componentName Name of the component, or undefined to override the default level.
+     * @param {object} options Optional settings:
+     *  - expires {Date}: When to remove the override (default: never).
+     *  - origin {string}: Where the override comes from, reported by 'getLevels' (default: 'local').
+     *  - setTime {Date}: When the override was made (default: now).
+     */
+    setLevel(level, componentName, options) {
+        options = options || {}
+
+        let key = componentName || ''
+        let existing = this._overrides[key]
+        if (existing) {
+            clearTimeout(existing.timer)
+            delete this._overrides[key]
+        }
+
+        if (level) {
+            let override = {
+                level,
+                expires: options.expires || null,
+                origin: options.origin || 'local',
+                setTime: options.setTime || new Date(),
+                timer: null
+            }
+
+            if (override.expires) {
+                override.timer = setTimeout(() => {
+                    if (this._overrides[key] === override) {
+                        this.setLevel(null, componentName)
+                        this._engine.log('info', `Log level override for ${componentName ? `component '${componentName}'` : 'the server'} expired, the level is now '${this.getLevel(componentName)}'.`)
                     }
-                }
-            )
-        )
-        
-        this._engine.log('info', `Writing log files to '${fs.realpathSync(this._logDir)}'. Log level is set to: '${this._engine.level}'`)
+                }, Math.max(override.expires.getTime() - Date.now(), 0))
+                override.timer.unref()
+            }
+
+            this._overrides[key] = override
+        }
+
+        this._applyLevels()
+    }
+
+    /**
+     * Removes all overrides set with 'setLevel'.
+     */
+    clearLevels() {
+        Object.keys(this._overrides).forEach(key => clearTimeout(this._overrides[key].timer))
+        this._overrides = {}
+        this._applyLevels()
+    }
+
+    /**
+     * Reports that a transport failed to write an entry.
+     *
+     * Failures are written to stderr rather than logged, since logging them would write to the failing transport again
+     * (and fail again). Failures of the same transport are reported at most once per 'transportFailureInterval'.
+     *
+     * @param {object} transport The failing transport.
+     * @param {string} type Type of the transport (see the 'transports' setting).
+     * @param {*} err The error reported by the transport.
+     */
+    _reportTransportFailure(transport, type, err) {
+        let now = Date.now()
+        let failure = this._transportFailures.get(transport)
+
+        if (failure && now - failure.reportedAt < transportFailureInterval) {
+            failure.suppressed++
+            return
+        }
+
+        let suppressed = failure ? failure.suppressed : 0
+        this._transportFailures.set(transport, { reportedAt: now, suppressed: 0 })
+        process.stderr.write(`Log transport '${type}' failed to write an entry: ${err}${suppressed > 0 ? ` (${suppressed} more failure(s) since the last report)` : ''}\n`)
+    }
+
+    /**
+     * Returns true if the given entry should be written by transports that do not have a level of their own.
+     * 
+     * @param {object} info The log entry.
+     */
+    _isEnabled(info) {
+        return this._engine.levels[info.level] <= this._engine.levels[this.getLevel(info.component)]
+    }
+
+    /**
+     * Sets the level of the underlying logger to the most verbose level in use, so that the entries are passed on to
+     * the transports (which filter them by their own level or the component's level).
+     */
+    _applyLevels() {
+        let levels = [ this.getLevel() ]
+            .concat(Object.values(this._settings.componentLevels || {}))
+            .concat(Object.values(this._overrides).map(o => o.level))
+            .concat(Object.values(this._transports).map(t => t.level).filter(l => l))
+
+        this._engine.level = levels.reduce((a, b) => this._engine.levels[a] >= this._engine.levels[b] ? a : b)
     }
 
     /**
      * Returns a function that can be used to log messages with this logger.
+     * @param {object} meta Optional fields to add to every entry logged with the function (e.g. '{ component: name }' for a component's logger).
      * @returns A function that can be used to log messages using this logger.
      */
-    getLog() {
+    getLog(meta) {
         // Define engine here to make it accessible to the logging function.
         let engine = this._engine
         return (msg, level) => {
@@ -128,9 +471,17 @@ class Logger {
                 level = 'info'
             }
             
-            engine.log({level: level, message: msg})
+            engine.log(Object.assign({}, meta, {level: level, message: msg}))
         }
     }
+
+    /**
+     * Returns the ID of the request currently being handled, or undefined if called outside of a request.
+     */
+    static getRequestId() {
+        let context = requestContext.getStore()
+        return context ? context.requestId : undefined
+    }
 }
 
 module.exports = Logger
\ No newline at end of file
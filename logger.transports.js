@@ -0,0 +1,263 @@
+const os = require('os')
+const net = require('net')
+const dgram = require('dgram')
+const winston = require('winston')
+require('winston-daily-rotate-file')
+
+const Transport = winston.Transport
+
+/**
+ * Key holding the formatted message on log entries (see: https://www.npmjs.com/package/triple-beam).
+ */
+const MESSAGE = Symbol.for('message')
+
+/**
+ * Transport types that can be used in the 'logger.transports' settings.
+ */
+const transportTypes = [ 'console', 'file', 'syslog', 'http', 'mongo' ]
+
+/**
+ * Default settings for file transports (see: https://www.npmjs.com/package/winston-daily-rotate-file#options).
+ */
+const fileDefaults = {
+    dirname: '/morrigan.server/logs',
+    filename: 'morrigan-%DATE%.log',
+    datePattern: 'YYYY-MM-DD-HH',
+    zippedArchive: true,
+    maxSize: '20m',
+    maxFiles: '14d'
+}
+
+/**
+ * Syslog facility codes (RFC 5424).
+ */
+const syslogFacilities = {
+    kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7, uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+    local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+}
+
+/**
+ * Syslog severities for the winston log levels.
+ */
+const syslogSeverities = { error: 3, warn: 4, info: 6, http: 6, verbose: 7, debug: 7, silly: 7 }
+
+/**
+ * Maximum number of entries kept by a transport while it is unable to write them (not connected, or no DataStore yet).
+ */
+const bufferSize = 1000
+
+/**
+ * Transport sending log entries to a syslog server over UDP or TCP, formatted according to RFC 5424.
+ *
+ * TCP messages are framed using octet counting (RFC 6587). The connection is opened when the first entry is logged, and
+ * reopened if it is lost.
+ */
+class SyslogTransport extends Transport {
+
+    _socket = null
+    _connected = false
+    _queue = []
+
+    constructor(options) {
+        super(options)
+
+        this.host = options.host || 'localhost'
+        this.port = options.port || 514
+        this.protocol = options.protocol || 'udp'
+        this.facility = syslogFacilities[options.facility || 'local0']
+        this.appName = options.appName || 'morrigan'
+        this.hostname = os.hostname()
+    }
+
+    log(info, callback) {
+        let severity = syslogSeverities[info.level] === undefined ? 6 : syslogSeverities[info.level]
+        let message = `<${this.facility * 8 + severity}>1 ${info.timestamp || new Date().toISOString()} ${this.hostname} ${this.appName} ${process.pid} - - ${info[MESSAGE]}`
+
+        if (this.protocol === 'tcp') {
+            this._sendTcp(`${Buffer.byteLength(message)} ${message}`)
+        } else {
+            this._sendUdp(message)
+        }
+
+        this.emit('logged', info)
+        callback()
+    }
+
+    _sendUdp(message) {
+        if (!this._socket) {
+            this._socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4')
+            this._socket.on('error', err => this.emit('warn', err))
+            this._socket.unref()
+        }
+        this._socket.send(message, this.port, this.host, err => err && this.emit('warn', err))
+    }
+
+    _sendTcp(message) {
+        if (this._connected) {
+            this._socket.write(message)
+            return
+        }
+
+        if (this._queue.length < bufferSize) {
+            this._queue.push(message)
+        }
+
+        if (this._socket) {
+            return
+        }
+
+        this._socket = net.connect(this.port, this.host, () => {
+            this._connected = true
+            this._queue.forEach(m => this._socket.write(m))
+            this._queue = []
+        })
+        this._socket.unref()
+        this._socket.on('error', err => this.emit('warn', err))
+        this._socket.on('close', () => {
+            this._socket = null
+            this._connected = false
+        })
+    }
+
+    close() {
+        if (this._socket) {
+            this.protocol === 'tcp' ? this._socket.end() : this._socket.close()
+            this._socket = null
+        }
+    }
+}
+
+/**
+ * Transport writing log entries to a capped collection in the server's DataStore.
+ *
+ * Entries logged before the DataStore has been provided (see 'attach') are buffered.
+ */
+class MongoTransport extends Transport {
+
+    _collection = null
+    _buffer = []
+
+    constructor(options) {
+        super(options)
+
+        this.collectionName = options.collection || 'morrigan.logs'
+        this.size = options.size || 52428800
+        this.max = options.max
+    }
+
+    /**
+     * Starts writing entries to the given DataStore, creating the capped collection if it does not exist.
+     *
+     * @param {object} dataStore The root DataStore of the server, or null to stop writing (e.g. before disconnecting).
+     */
+    async attach(dataStore) {
+        if (!dataStore) {
+            this._collection = null
+            return
+        }
+
+        let options = { capped: true, size: this.size }
+        if (this.max) {
+            options.max = this.max
+        }
+
+        let collection = null
+        try {
+            collection = await dataStore.createCollection(this.collectionName, options)
+        } catch (e) {
+            // The collection already exists:
+            collection = await dataStore.collection(this.collectionName)
+        }
+        // Used to sort and filter entries when querying the log (see server.logs.js):
+        await collection.createIndex({ timestamp: -1 }).catch(err => this.emit('warn', err))
+        this._collection = collection
+
+        let buffered = this._buffer
+        this._buffer = []
+        if (buffered.length > 0) {
+            await this._collection.insertMany(buffered).catch(err => this.emit('warn', err))
+        }
+    }
+
+    /**
+     * Returns the collection that entries are written to, or null if no DataStore has been provided.
+     */
+    getCollection() {
+        return this._collection
+    }
+
+    log(info, callback) {
+        let entry = {}
+        Object.keys(info).forEach(k => entry[k] = info[k])
+        entry.timestamp = info.timestamp ? new Date(info.timestamp) : new Date()
+
+        if (this._collection) {
+            this._collection.insertOne(entry).catch(err => this.emit('warn', err))
+        } else if (this._buffer.length < bufferSize) {
+            this._buffer.push(entry)
+        }
+
+        this.emit('logged', info)
+        callback()
+    }
+
+    close() {
+        this._collection = null
+        this._buffer = []
+    }
+}
+
+/**
+ * Creates a transport from a transport definition in the logger settings.
+ *
+ * @param {object} definition Transport definition, with the key 'type' and the options for that type (see the README).
+ * @param {object} format The winston format to use for the transport's output.
+ * @returns The transport.
+ */
+function create(definition, format) {
+    let options = Object.assign({}, definition, { format })
+    delete options.type
+
+    switch (definition.type) {
+        case 'console':
+            return new winston.transports.Console(options)
+
+        case 'file':
+            return new winston.transports.DailyRotateFile(Object.assign({}, fileDefaults, options))
+
+        case 'syslog':
+            return new SyslogTransport(options)
+
+        case 'http': {
+            let url = new URL(definition.url)
+            return new winston.transports.Http({
+                level: definition.level,
+                format,
+                host: url.hostname,
+                port: url.port ? parseInt(url.port) : undefined,
+                path: url.pathname + url.search,
+                ssl: url.protocol === 'https:',
+                auth: url.username ? { username: decodeURIComponent(url.username), password: decodeURIComponent(url.password) } : undefined,
+                headers: definition.headers,
+                batch: definition.batch,
+                batchInterval: definition.batchInterval,
+                batchCount: definition.batchCount
+            })
+        }
+
+        case 'mongo':
+            return new MongoTransport(options)
+
+        default:
+            throw new Error(`Unknown log transport type: '${definition.type}' (expected one of: ${transportTypes.join(', ')}).`)
+    }
+}
+
+module.exports = {
+    transportTypes,
+    fileDefaults,
+    syslogFacilities,
+    create,
+    SyslogTransport,
+    MongoTransport
+}
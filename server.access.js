@@ -0,0 +1,78 @@
+/**
+ * Middleware that rejects requests that have not been authenticated.
+ *
+ * Requests are considered authenticated if a component's middleware (e.g. the authentication component) has set
+ * 'req.authenticated' to the identity of the caller.
+ *
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @param {function} next Function to call to pass the request on.
+ */
+module.exports.requireAuthentication = (req, res, next) => {
+    if (!req.authenticated) {
+        res.status(403)
+        res.end()
+        return
+    }
+
+    next()
+}
+
+/**
+ * Access right that identifies administrators (see 'requireAdmin').
+ *
+ * Identities issued by the authentication component (@adicitus/morrigan.components.authentication) list the access
+ * rights they hold in 'functions', the server's administration endpoints require this one.
+ */
+const adminFunction = 'server.admin'
+
+/**
+ * Returns true if the given identity (as set on 'req.authenticated') holds the 'server.admin' access right.
+ */
+function isAdmin(identity) {
+    return Array.isArray(identity.functions) && identity.functions.includes(adminFunction)
+}
+
+/**
+ * Middleware that rejects requests that have not been made by an administrator (see 'isAdmin'): with 401 if the request
+ * has not been authenticated, and with 403 if the caller is not an administrator.
+ *
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @param {function} next Function to call to pass the request on.
+ */
+module.exports.requireAdmin = (req, res, next) => {
+    if (!req.authenticated) {
+        res.status(401)
+        res.end()
+        return
+    }
+
+    if (!isAdmin(req.authenticated)) {
+        res.status(403)
+        res.end()
+        return
+    }
+
+    next()
+}
+
+/**
+ * Middleware that rejects requests made over connections without a verified client certificate.
+ *
+ * Used to require mutual TLS on specific routes when the server requests client certificates without rejecting
+ * connections that do not present one ('http.requestCert' with 'http.rejectUnauthorized' set to false).
+ *
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @param {function} next Function to call to pass the request on.
+ */
+module.exports.requireClientCertificate = (req, res, next) => {
+    if (!req.clientCertificate) {
+        res.status(403)
+        res.end()
+        return
+    }
+
+    next()
+}
@@ -0,0 +1,551 @@
+const Ajv = require('ajv')
+const { convertErrors } = require(`${__dirname}/server.validation`)
+
+/**
+ * Default API validation settings.
+ *
+ * - validateRequests: Validate the parameters and request bodies of incoming requests against the '.openapi' declarations of their handlers, rejecting non-conforming requests with 400.
+ * - validateResponses: Validate responses against the declared responses and log any mismatches (intended for development, responses are sent unchanged).
+ */
+const defaults = {
+    validateRequests: false,
+    validateResponses: false
+}
+
+/**
+ * ID of the schema holding the merged 'components' of the OpenAPI document, '$ref's in declared schemas are resolved against it.
+ */
+const componentsSchemaId = 'morrigan-openapi'
+
+/**
+ * HTTP methods that can be declared on an OpenAPI path item.
+ */
+const operationMethods = [ 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace' ]
+
+/**
+ * Parameter locations that are validated ('cookie' parameters are not, since cookies are not parsed by the server).
+ */
+const parameterLocations = [ 'path', 'query', 'header' ]
+
+/**
+ * Follows '$ref's to objects in the OpenAPI document (e.g. '#/components/parameters/limit').
+ *
+ * @param {object} doc The OpenAPI document.
+ * @param {object} obj Object that may be a reference.
+ * @returns The referenced object, or undefined if the reference could not be resolved.
+ */
+function resolveRef(doc, obj) {
+    let seen = new Set()
+    while (obj && typeof obj.$ref === 'string') {
+        if (seen.has(obj.$ref) || !obj.$ref.startsWith('#/')) {
+            return undefined
+        }
+        seen.add(obj.$ref)
+        obj = obj.$ref.slice(2).split('/')
+            .map(k => decodeURIComponent(k).replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((o, k) => (o === null || o === undefined) ? undefined : o[k], doc)
+    }
+    return obj
+}
+
+/**
+ * Copies a declared schema, pointing local '$ref's ('#/components/...') at the components schema.
+ *
+ * @param {*} schema Schema (or part of a schema) to copy.
+ * @returns The copied schema.
+ */
+function linkRefs(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(linkRefs)
+    }
+    if (schema === null || typeof schema !== 'object') {
+        return schema
+    }
+
+    let copy = {}
+    Object.keys(schema).forEach(k => {
+        copy[k] = (k === '$ref' && typeof schema[k] === 'string' && schema[k].startsWith('#/')) ? `${componentsSchemaId}${schema[k]}` : linkRefs(schema[k])
+    })
+    return copy
+}
+
+/**
+ * Converts an OpenAPI path template ('/api/x/{id}') into a regular expression matching request paths the same way Express does
+ * (case-insensitive, with an optional trailing slash).
+ *
+ * @param {string} template The path template.
+ * @returns An object with the keys 'regex' and 'names' (names of the path parameters, in order).
+ */
+function compilePath(template) {
+    let names = []
+    let pattern = template.replace(/\/+$/, '').split(/(\{[^}]+\})/).map(part => {
+        let m = /^\{([^}]+)\}$/.exec(part)
+        if (m) {
+            names.push(m[1])
+            return '([^/]+)'
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }).join('')
+
+    return { regex: new RegExp(`^${pattern}/?$`, 'i'), names }
+}
+
+/**
+ * Converts the errors reported by Ajv into error entries, adding the part of the request or response that was validated.
+ *
+ * @param {Array} errors Errors reported by an Ajv validation function.
+ * @param {string} location Part that was validated ('path', 'query', 'header', 'body').
+ * @returns Array of error entries (objects with the keys 'in', 'path', 'message' and 'keyword').
+ */
+function toEntries(errors, location) {
+    return convertErrors(errors, '').map(e => {
+        if (e.keyword === 'additionalProperties') {
+            e.message = 'is not allowed'
+        }
+        return Object.assign({ in: location }, e)
+    })
+}
+
+/**
+ * Returns true if the request has a body, regardless of whether it has been parsed.
+ *
+ * @param {object} req Express request object.
+ */
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined || (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0')
+}
+
+/**
+ * Builds the problem document (RFC 7807) sent when a request is rejected.
+ *
+ * @param {object} req Express request object.
+ * @param {number} status HTTP status code.
+ * @param {string} title Short description of the status.
+ * @param {string} detail Description of the problem.
+ * @returns The problem document.
+ */
+function problem(req, status, title, detail) {
+    return { type: 'about:blank', title, status, detail, instance: req.originalUrl }
+}
+
+/**
+ * Sends a problem document.
+ *
+ * @param {object} res Express response object.
+ * @param {object} doc The problem document.
+ */
+function sendProblem(res, doc) {
+    res.setHeader('Content-Type', 'application/problem+json')
+    res.status(doc.status)
+    res.end(JSON.stringify(doc))
+}
+
+/**
+ * Class used to enforce the '.openapi' declarations of the handlers that requests are routed to: security requirements are
+ * enforced using the authenticators registered in the security registry, and requests (and optionally responses) are validated.
+ *
+ * The declarations are read from the OpenAPI document built by the server, and validators are compiled when an operation is first
+ * requested. The document is rebuilt after 'reset' has been called (i.e. when endpoints have been added or removed).
+ */
+class ApiValidator {
+
+    _buildDoc = null
+    _security = null
+    _index = null
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {function} buildDoc Function returning the current OpenAPI document.
+     * @param {function} log Logging function.
+     * @param {object} security Optional security registry (see server.security.js), security requirements are not enforced without it.
+     */
+    constructor(buildDoc, log, security) {
+        this._buildDoc = buildDoc
+        this._security = security || null
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Merges the given API validation settings with the defaults.
+     *
+     * @param {object} settings The 'openapi' section of the server settings.
+     * @returns API validation settings object.
+     */
+    static getSettings(settings) {
+        return Object.assign({}, defaults, settings || {})
+    }
+
+    /**
+     * Discards the compiled validators, causing the OpenAPI document to be rebuilt on the next request.
+     */
+    reset() {
+        this._index = null
+    }
+
+    /**
+     * Returns a middleware function enforcing security requirements, and validating requests and responses according to the
+     * settings returned by 'getSettings'.
+     *
+     * Requests that do not match a declared operation are passed on unchanged.
+     *
+     * @param {function} getSettings Function returning the 'openapi' section of the server settings (read on every request, so changes apply immediately).
+     * @returns Express middleware function.
+     */
+    middleware(getSettings) {
+        return async (req, res, next) => {
+            const settings = ApiValidator.getSettings(getSettings())
+            const enforceSecurity = this._security !== null
+
+            if (!settings.validateRequests && !settings.validateResponses && !enforceSecurity) {
+                return next()
+            }
+
+            let match = null
+            try {
+                match = this._match(req)
+            } catch (e) {
+                this.log(`Failed to compile API validators: ${e}`, 'error')
+                return next()
+            }
+
+            if (!match) {
+                return next()
+            }
+
+            if (enforceSecurity && match.operation.security) {
+                let authenticated = false
+                try {
+                    authenticated = await this._authenticate(match.operation, req, res)
+                } catch (e) {
+                    this.log(`Failed to authenticate ${req.method} ${req.originalUrl}: ${e}`, 'error')
+                    sendProblem(res, problem(req, 500, 'Internal Server Error', 'The request could not be authenticated.'))
+                    return
+                }
+                if (!authenticated) {
+                    return
+                }
+            }
+
+            if (settings.validateRequests) {
+                let errors = this._validateRequest(match.operation, req, match.pathValues)
+                if (errors.length > 0) {
+                    this.log(`Rejected ${req.method} ${req.originalUrl}: request does not match the API specification (${errors.map(e => `${e.in} ${e.path}: ${e.message}`).join('; ')}).`, 'debug')
+                    let doc = problem(req, 400, 'Bad Request', `The request does not match the API specification for ${req.method} ${match.operation.path}.`)
+                    doc.errors = errors
+                    sendProblem(res, doc)
+                    return
+                }
+            }
+
+            if (settings.validateResponses) {
+                this._watchResponse(match.operation, res)
+            }
+
+            next()
+        }
+    }
+
+    /**
+     * Builds the index of declared operations from the current OpenAPI document.
+     */
+    _buildIndex() {
+        const doc = this._buildDoc()
+        const logger = {
+            log: msg => this.log(msg, 'debug'),
+            warn: msg => this.log(msg, 'debug'),
+            error: msg => this.log(msg, 'error')
+        }
+
+        // Parameters arrive as strings, so they are converted to the declared types before validation:
+        const ajv = new Ajv({ allErrors: true, strict: false, logger })
+        const ajvParameters = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array', logger })
+        ajv.addSchema({ $id: componentsSchemaId, components: doc.components || {} })
+        ajvParameters.addSchema({ $id: componentsSchemaId, components: doc.components || {} })
+
+        // The document-level security requirements are the default for endpoints registered by components:
+        let componentRoutes = (doc['x-morrigan-components'] || []).map(c => c.route.toLowerCase())
+        let isComponentPath = path => componentRoutes.some(route => path.toLowerCase() === route || path.toLowerCase().startsWith(`${route}/`))
+
+        let operations = []
+        Object.keys(doc.paths).forEach(path => {
+            let pathItem = doc.paths[path]
+            let compiledPath = compilePath(path)
+
+            operationMethods.forEach(method => {
+                if (!pathItem[method]) {
+                    return
+                }
+                let declaration = pathItem[method]
+                let security = Array.isArray(declaration.security) ? declaration.security : (isComponentPath(path) && Array.isArray(doc.security) ? doc.security : null)
+                operations.push(Object.assign({
+                    path,
+                    method,
+                    declaration,
+                    pathParameters: pathItem.parameters,
+                    security: (security && security.length > 0) ? security : null,
+                    validators: null
+                }, compiledPath))
+            })
+        })
+
+        // Prefer literal paths over templated ones (e.g. '/api/jobs/run' over '/api/jobs/{name}'):
+        operations.sort((a, b) => a.names.length - b.names.length)
+
+        this._index = { doc, ajv, ajvParameters, operations }
+    }
+
+    /**
+     * Finds the declared operation matching a request.
+     *
+     * @param {object} req Express request object.
+     * @returns An object with the keys 'operation' and 'pathValues', or null if no operation matches.
+     */
+    _match(req) {
+        if (!this._index) {
+            this._buildIndex()
+        }
+
+        const method = req.method.toLowerCase()
+
+        for (const operation of this._index.operations) {
+            if (operation.method !== method) {
+                continue
+            }
+            let m = operation.regex.exec(req.path)
+            if (!m) {
+                continue
+            }
+
+            let pathValues = {}
+            operation.names.forEach((name, i) => {
+                try {
+                    pathValues[name] = decodeURIComponent(m[i + 1])
+                } catch {
+                    pathValues[name] = m[i + 1]
+                }
+            })
+
+            if (!operation.validators) {
+                operation.validators = this._compileOperation(operation)
+            }
+
+            return { operation, pathValues }
+        }
+
+        return null
+    }
+
+    /**
+     * Compiles the validators for a declared operation.
+     *
+     * @param {object} operation Operation entry from the index.
+     * @returns An object with the keys 'parameters' (validators by location), 'body' and 'responses'.
+     */
+    _compileOperation(operation) {
+        const { doc, ajv, ajvParameters } = this._index
+        const declaration = operation.declaration
+
+        // Operation-level parameters override path-level parameters with the same name and location:
+        let parameters = {}
+        ;[].concat(operation.pathParameters || [], declaration.parameters || []).forEach(p => {
+            p = resolveRef(doc, p)
+            if (p && p.name && parameterLocations.includes(p.in)) {
+                parameters[`${p.in}:${p.name}`] = p
+            }
+        })
+
+        let parameterValidators = {}
+        parameterLocations.forEach(location => {
+            let declared = Object.values(parameters).filter(p => p.in === location)
+            if (declared.length === 0) {
+                return
+            }
+
+            // Header names are case-insensitive, and are provided in lower case by Node:
+            let key = p => location === 'header' ? p.name.toLowerCase() : p.name
+            let schema = { type: 'object', properties: {}, required: [] }
+            declared.forEach(p => {
+                schema.properties[key(p)] = linkRefs(p.schema || {})
+                if (p.required || location === 'path') {
+                    schema.required.push(key(p))
+                }
+            })
+
+            parameterValidators[location] = ajvParameters.compile(schema)
+        })
+
+        let body = null
+        let requestBody = resolveRef(doc, declaration.requestBody)
+        if (requestBody) {
+            let content = requestBody.content || {}
+            let json = content['application/json']
+            body = {
+                required: requestBody.required === true,
+                contentTypes: Object.keys(content),
+                validate: (json && json.schema) ? ajv.compile(linkRefs(json.schema)) : null
+            }
+        }
+
+        let responses = {}
+        Object.keys(declaration.responses || {}).forEach(status => {
+            let response = resolveRef(doc, declaration.responses[status])
+            let json = response && response.content && response.content['application/json']
+            responses[status.toUpperCase()] = {
+                validate: (json && json.schema) ? ajv.compile(linkRefs(json.schema)) : null
+            }
+        })
+
+        return { parameters: parameterValidators, body, responses }
+    }
+
+    /**
+     * Enforces the security requirements of a declared operation, responding with 401 or 403 if they are not met.
+     *
+     * Requirements that refer to schemes without a registered authenticator (e.g. because the component providing it has
+     * been stopped) cannot be met. If none of the requirements can be checked, the request is rejected with 503 and a
+     * warning is logged once for the operation (until an authenticator is registered again).
+     *
+     * @param {object} operation Operation entry from the index.
+     * @param {object} req Express request object, 'req.authenticated' is set to the identity of the caller if the request is authenticated.
+     * @param {object} res Express response object.
+     * @returns True if the request should be passed on.
+     */
+    async _authenticate(operation, req, res) {
+        const label = `${operation.method.toUpperCase()} ${operation.path}`
+
+        let result = await this._security.authenticate(req, operation.security)
+
+        if (result.status !== 'unavailable') {
+            operation.securityWarned = false
+        }
+
+        switch (result.status) {
+            case 'unavailable': {
+                if (!operation.securityWarned) {
+                    operation.securityWarned = true
+                    let missing = this._security.getMissingSchemes(operation.security)
+                    this.log(`Rejecting requests to ${label}: no authenticator registered for: ${missing.join(', ')}.`, 'warn')
+                }
+                sendProblem(res, problem(req, 503, 'Service Unavailable', `The security requirements of ${label} cannot be checked at the moment.`))
+                return false
+            }
+
+            case 'authenticated':
+                if (result.identity !== null) {
+                    req.authenticated = result.identity
+                    req.identities = result.identities
+                }
+                return true
+
+            case 'forbidden':
+                this.log(`Rejected ${req.method} ${req.originalUrl}: the caller does not have the required scopes.`, 'debug')
+                sendProblem(res, problem(req, 403, 'Forbidden', `The caller is not allowed to access ${label}.`))
+                return false
+
+            default: {
+                // Let the client know which schemes it can authenticate with (for HTTP authentication schemes):
+                let securitySchemes = (this._index.doc.components || {}).securitySchemes || {}
+                let challenges = new Set()
+                operation.security.forEach(requirement => Object.keys(requirement).forEach(scheme => {
+                    let declared = resolveRef(this._index.doc, securitySchemes[scheme])
+                    if (declared && declared.type === 'http' && declared.scheme) {
+                        challenges.add(declared.scheme.charAt(0).toUpperCase() + declared.scheme.slice(1).toLowerCase())
+                    }
+                }))
+                if (challenges.size > 0) {
+                    res.setHeader('WWW-Authenticate', [ ...challenges ].join(', '))
+                }
+
+                this.log(`Rejected ${req.method} ${req.originalUrl}: the request is not authenticated.`, 'debug')
+                sendProblem(res, problem(req, 401, 'Unauthorized', `Authentication is required to access ${label}.`))
+                return false
+            }
+        }
+    }
+
+    /**
+     * Validates a request against a declared operation.
+     *
+     * @param {object} operation Operation entry from the index.
+     * @param {object} req Express request object.
+     * @param {object} pathValues Values of the path parameters.
+     * @returns Array of errors (objects with the keys 'in', 'path', 'message' and 'keyword'), empty if the request is valid.
+     */
+    _validateRequest(operation, req, pathValues) {
+        const validators = operation.validators
+        let errors = []
+
+        let sources = {
+            path: pathValues,
+            query: req.query,
+            header: req.headers
+        }
+
+        Object.keys(validators.parameters).forEach(location => {
+            let validate = validators.parameters[location]
+            // Validate a copy, since values are converted to the declared types during validation:
+            if (!validate(Object.assign({}, sources[location]))) {
+                errors = errors.concat(toEntries(validate.errors, location))
+            }
+        })
+
+        let body = validators.body
+        if (body) {
+            if (!hasBody(req)) {
+                if (body.required) {
+                    errors.push({ in: 'body', path: '/', message: 'is required', keyword: 'required' })
+                }
+            } else if (body.contentTypes.length > 0 && !req.is(body.contentTypes)) {
+                errors.push({ in: 'body', path: '/', message: `must have one of the content types: ${body.contentTypes.join(', ')}`, keyword: 'contentType' })
+            } else if (body.validate && req.is('application/json') && !body.validate(req.body)) {
+                errors = errors.concat(toEntries(body.validate.errors, 'body'))
+            }
+        }
+
+        return errors
+    }
+
+    /**
+     * Validates the response to a request once it is sent, logging any mismatches with the declared responses.
+     *
+     * Only responses sent with a single call to 'end' (as done by 'res.end', 'res.send' and 'res.json') have their bodies validated.
+     *
+     * @param {object} operation Operation entry from the index.
+     * @param {object} res Express response object.
+     */
+    _watchResponse(operation, res) {
+        const end = res.end
+        const label = `${operation.method.toUpperCase()} ${operation.path}`
+
+        res.end = (chunk, ...args) => {
+            res.end = end
+            try {
+                let responses = operation.validators.responses
+                let status = `${res.statusCode}`
+                let response = responses[status] || responses[`${status[0]}XX`] || responses['DEFAULT']
+
+                if (!response) {
+                    this.log(`Response to ${label} does not match the API specification: status ${status} is not declared.`, 'warn')
+                } else if (response.validate && chunk && /json/i.test(res.getHeader('Content-Type') || '')) {
+                    let body = JSON.parse(Buffer.isBuffer(chunk) ? chunk.toString('utf8') : chunk)
+                    if (!response.validate(body)) {
+                        toEntries(response.validate.errors, 'body').forEach(e => {
+                            this.log(`Response to ${label} (status ${status}) does not match the API specification: ${e.path}: ${e.message}`, 'warn')
+                        })
+                    }
+                }
+            } catch (e) {
+                this.log(`Failed to validate the response to ${label}: ${e}`, 'warn')
+            }
+            return end.call(res, chunk, ...args)
+        }
+    }
+}
+
+module.exports = ApiValidator
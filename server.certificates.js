@@ -0,0 +1,323 @@
+const fs = require('fs')
+const os = require('os')
+const net = require('net')
+const tls = require('tls')
+const crypto = require('crypto')
+
+/**
+ * Default settings for certificate management (keys in the 'http' settings).
+ *
+ * - selfSigned: Whether to use a self-signed certificate (generated on first run and kept in the StateStore) if the
+ *   certificate files are missing.
+ * - watchCertificates: Whether to watch the certificate files and load them when they are renewed.
+ * - expiryWarning: Number of days before the certificate expires from which a warning is logged every day.
+ */
+const defaults = {
+    selfSigned: false,
+    watchCertificates: true,
+    expiryWarning: 30
+}
+
+/**
+ * Number of days that generated self-signed certificates are valid for.
+ */
+const selfSignedDays = 365
+
+/**
+ * Number of milliseconds between checks for changes to the watched certificate files.
+ */
+const watchInterval = 5000
+
+/**
+ * Number of milliseconds to wait after the last change to the watched files before loading them, so that a certificate
+ * and key written one after the other are loaded together.
+ */
+const settleTime = 1000
+
+/**
+ * Number of milliseconds between checks of the certificate's expiry.
+ */
+const expiryCheckInterval = 86400000
+
+/**
+ * Name of the StateStore key holding the self-signed certificate.
+ */
+const stateKey = 'selfSignedCertificate'
+
+/**
+ * Minimal DER encoding, covering what is needed to build a certificate (see: ITU-T X.690).
+ */
+const der = {
+    encode: (tag, content) => {
+        let length = content.length
+        let header = null
+        if (length < 0x80) {
+            header = Buffer.from([ tag, length ])
+        } else {
+            let bytes = []
+            for (let l = length; l > 0; l = Math.floor(l / 256)) {
+                bytes.unshift(l % 256)
+            }
+            header = Buffer.from([ tag, 0x80 | bytes.length, ...bytes ])
+        }
+        return Buffer.concat([ header, content ])
+    },
+    sequence: (...items) => der.encode(0x30, Buffer.concat(items)),
+    set: (...items) => der.encode(0x31, Buffer.concat(items)),
+    explicit: (n, item) => der.encode(0xa0 + n, item),
+    boolean: (value) => der.encode(0x01, Buffer.from([ value ? 0xff : 0x00 ])),
+    null: () => Buffer.from([ 0x05, 0x00 ]),
+    integer: (buffer) => der.encode(0x02, (buffer[0] & 0x80) ? Buffer.concat([ Buffer.from([ 0 ]), buffer ]) : buffer),
+    bitString: (buffer, unusedBits) => der.encode(0x03, Buffer.concat([ Buffer.from([ unusedBits || 0 ]), buffer ])),
+    octetString: (buffer) => der.encode(0x04, buffer),
+    utf8String: (value) => der.encode(0x0c, Buffer.from(value, 'utf8')),
+    utcTime: (date) => der.encode(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z')),
+    oid: (value) => {
+        let parts = value.split('.').map(Number)
+        let bytes = [ parts[0] * 40 + parts[1] ]
+        parts.slice(2).forEach(part => {
+            let encoded = [ part & 0x7f ]
+            for (part = Math.floor(part / 128); part > 0; part = Math.floor(part / 128)) {
+                encoded.unshift(0x80 | (part & 0x7f))
+            }
+            bytes.push(...encoded)
+        })
+        return der.encode(0x06, Buffer.from(bytes))
+    }
+}
+
+const oids = {
+    commonName: '2.5.4.3',
+    sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+    basicConstraints: '2.5.29.19',
+    keyUsage: '2.5.29.15',
+    extKeyUsage: '2.5.29.37',
+    subjectAltName: '2.5.29.17',
+    serverAuth: '1.3.6.1.5.5.7.3.1',
+    clientAuth: '1.3.6.1.5.5.7.3.2'
+}
+
+/**
+ * Generates a self-signed certificate for a TLS server.
+ *
+ * @param {object} options Optional settings:
+ *  - commonName {string}: Common name of the certificate (default: the hostname of the machine).
+ *  - altNames {Array}: Host names and IP addresses the certificate is valid for (default: the common name, 'localhost', '127.0.0.1' and '::1').
+ *  - days {number}: Number of days the certificate is valid for (default: 365).
+ *  - clientAuth {boolean}: Whether the certificate can also be used as a TLS client certificate (default: false).
+ * @returns An object with the PEM-encoded 'cert' and 'key'.
+ */
+function generateSelfSigned(options) {
+    options = options || {}
+
+    let commonName = options.commonName || os.hostname()
+    let altNames = options.altNames || [ ...new Set([ commonName, 'localhost', '127.0.0.1', '::1' ]) ]
+    let notBefore = new Date(Date.now() - 60000)
+    let notAfter = new Date(notBefore.getTime() + (options.days || selfSignedDays) * 86400000)
+
+    let { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+    let name = der.sequence(der.set(der.sequence(der.oid(oids.commonName), der.utf8String(commonName))))
+    let algorithm = der.sequence(der.oid(oids.sha256WithRSAEncryption), der.null())
+    let serialNumber = crypto.randomBytes(16)
+    serialNumber[0] &= 0x7f
+
+    let extension = (oid, critical, value) => der.sequence(der.oid(oid), ...(critical ? [ der.boolean(true) ] : []), der.octetString(value))
+    let generalNames = altNames.map(n => net.isIP(n) ? der.encode(0x87, ipToBuffer(n)) : der.encode(0x82, Buffer.from(n)))
+
+    let tbsCertificate = der.sequence(
+        der.explicit(0, der.integer(Buffer.from([ 2 ]))),
+        der.integer(serialNumber),
+        algorithm,
+        name,
+        der.sequence(der.utcTime(notBefore), der.utcTime(notAfter)),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        der.explicit(3, der.sequence(
+            extension(oids.basicConstraints, true, der.sequence()),
+            // digitalSignature and keyEncipherment:
+            extension(oids.keyUsage, true, der.bitString(Buffer.from([ 0xa0 ]), 5)),
+            extension(oids.extKeyUsage, false, der.sequence(der.oid(oids.serverAuth), ...(options.clientAuth ? [ der.oid(oids.clientAuth) ] : []))),
+            extension(oids.subjectAltName, false, der.sequence(...generalNames))
+        ))
+    )
+
+    let signature = crypto.sign('sha256', tbsCertificate, privateKey)
+    let certificate = der.sequence(tbsCertificate, algorithm, der.bitString(signature))
+
+    return {
+        cert: `-----BEGIN CERTIFICATE-----\n${certificate.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`,
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    }
+}
+
+function ipToBuffer(ip) {
+    if (net.isIPv4(ip)) {
+        return Buffer.from(ip.split('.').map(Number))
+    }
+
+    let [ head, tail ] = ip.split('::')
+    let groups = s => s ? s.split(':') : []
+    let missing = 8 - groups(head).length - groups(tail).length
+    let all = tail === undefined ? groups(head) : groups(head).concat(new Array(missing).fill('0'), groups(tail))
+    return Buffer.from(all.map(g => g.padStart(4, '0')).join(''), 'hex')
+}
+
+/**
+ * Returns the self-signed certificate kept in the StateStore, generating (and storing) a new certificate if there is
+ * none, if it was issued for a different host name, or if it expires within the given number of days.
+ *
+ * @param {object} stateStore Root StateStore of the server.
+ * @param {string} commonName Host name to issue the certificate for.
+ * @param {number} renewBefore Number of days before expiry from which the certificate is replaced.
+ * @param {function} log Logging function.
+ * @returns An object with the PEM-encoded 'cert' and 'key'.
+ */
+async function getSelfSigned(stateStore, commonName, renewBefore, log) {
+    let stored = await stateStore.get(stateKey)
+
+    if (stored) {
+        let info = describe(stored.cert)
+        if (info && info.subject.CN === commonName && info.validTo.getTime() - Date.now() > renewBefore * 86400000) {
+            return stored
+        }
+        log(`Replacing the self-signed certificate (issued for '${info ? info.subject.CN : 'unknown'}', expires ${info ? info.validTo.toISOString() : 'unknown'}).`)
+    } else {
+        log(`Generating a self-signed certificate for '${commonName}'...`)
+    }
+
+    let generated = generateSelfSigned({ commonName })
+    await stateStore.set(stateKey, generated)
+    return generated
+}
+
+/**
+ * Describes a certificate.
+ *
+ * @param {*} certificate PEM or DER-encoded certificate (the first certificate is used if the PEM contains a chain),
+ *  or TLS options (with 'cert' or 'pfx' and 'passphrase') to read the certificate from.
+ * @returns An object with the 'subject' (e.g. { CN: 'example.com' }), 'fingerprint', 'validFrom' and 'validTo' of
+ *  the certificate, or null if no certificate could be read.
+ */
+function describe(certificate) {
+    try {
+        if (certificate && certificate.pfx) {
+            // PFX files can only be read through a secure context:
+            let context = tls.createSecureContext(certificate).context
+            certificate = typeof context.getCertificate === 'function' ? context.getCertificate() : null
+        } else if (certificate && certificate.cert) {
+            certificate = certificate.cert
+        }
+
+        if (!certificate) {
+            return null
+        }
+
+        let x509 = new crypto.X509Certificate(certificate)
+        let subject = {}
+        x509.subject.split('\n').forEach(line => {
+            let i = line.indexOf('=')
+            subject[line.slice(0, i)] = line.slice(i + 1)
+        })
+
+        return {
+            subject,
+            fingerprint: x509.fingerprint256,
+            validFrom: new Date(x509.validFrom),
+            validTo: new Date(x509.validTo)
+        }
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * Logs when a certificate expires, as a warning if it expires within the given number of days (or has expired).
+ *
+ * @param {object} info Certificate description (see 'describe').
+ * @param {number} warnBefore Number of days before expiry from which a warning is logged.
+ * @param {function} log Logging function.
+ */
+function logExpiry(info, warnBefore, log) {
+    let days = Math.floor((info.validTo.getTime() - Date.now()) / 86400000)
+    let subject = info.subject.CN || Object.values(info.subject).join(', ')
+
+    if (days < 0) {
+        log(`The TLS certificate for '${subject}' expired on ${info.validTo.toISOString()}.`, 'error')
+    } else if (days < warnBefore) {
+        log(`The TLS certificate for '${subject}' expires on ${info.validTo.toISOString()} (in ${days} day(s)).`, 'warn')
+    } else {
+        log(`The TLS certificate for '${subject}' expires on ${info.validTo.toISOString()} (in ${days} day(s)).`)
+    }
+}
+
+/**
+ * Class used to watch certificate files and call a function when they change.
+ *
+ * The files are polled (rather than watched for events) so that files replaced by renaming or through symbolic links
+ * (e.g. by certbot) are detected.
+ */
+class CertificateWatcher {
+
+    _paths = []
+    _onChange = null
+    _timer = null
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {Array} paths Paths of the files to watch.
+     * @param {function} onChange Function to call once the files have changed.
+     * @param {function} log Logging function.
+     */
+    constructor(paths, onChange, log) {
+        this._paths = paths
+        this._onChange = onChange
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Starts watching the files.
+     */
+    start() {
+        this._paths.forEach(path => {
+            fs.watchFile(path, { interval: watchInterval, persistent: false }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) {
+                    return
+                }
+
+                this.log(`Certificate file '${path}' changed.`, 'debug')
+                clearTimeout(this._timer)
+                this._timer = setTimeout(() => {
+                    this._timer = null
+                    this._onChange()
+                }, settleTime)
+                this._timer.unref()
+            })
+        })
+    }
+
+    /**
+     * Stops watching the files.
+     */
+    stop() {
+        clearTimeout(this._timer)
+        this._timer = null
+        this._paths.forEach(path => fs.unwatchFile(path))
+    }
+}
+
+module.exports = {
+    defaults,
+    expiryCheckInterval,
+    generateSelfSigned,
+    getSelfSigned,
+    describe,
+    logExpiry,
+    CertificateWatcher
+}
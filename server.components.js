@@ -0,0 +1,149 @@
+const { requireAdmin } = require(`${__dirname}/server.access`)
+
+const componentSchema = {
+    type: 'object',
+    required: [ 'name', 'route', 'state' ],
+    properties: {
+        name: { type: 'string' },
+        module: { type: 'string', description: "Name of the module package, or 'anonymous' for pre-loaded modules." },
+        route: { type: 'string', description: "Route that the component's endpoints are mounted at." },
+        dependsOn: { type: 'array', items: { type: 'string' } },
+        state: { type: 'string', enum: [ 'running', 'stopped', 'failed' ] }
+    }
+}
+
+/**
+ * Actions that can be performed on a component through '/api/components/{name}/{action}', mapped to the Morrigan method implementing them.
+ */
+const actions = {
+    stop: 'stopComponent',
+    start: 'startComponent',
+    restart: 'restartComponent'
+}
+
+/**
+ * Registers the '/api/components' endpoints on the given application.
+ *
+ * @param {object} app Express application to register the endpoints on.
+ * @param {object} morrigan Morrigan server instance.
+ */
+function setup(app, morrigan) {
+
+    let listHandler = (req, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.status(200)
+        res.end(JSON.stringify(morrigan._buildComponentRecords()))
+    }
+
+    listHandler.openapi = {
+        get: {
+            tags: [ 'components' ],
+            description: "Lists the components loaded on this instance and their state.",
+            responses: {
+                200: {
+                    description: "List of components.",
+                    content: {
+                        'application/json': {
+                            schema: { type: 'array', items: componentSchema }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    let actionHandler = async (req, res) => {
+        let name = req.params.name
+        let method = actions[req.params.action]
+
+        if (!method) {
+            res.status(404)
+            res.end()
+            return
+        }
+
+        if (!morrigan.getComponent(name) && !(method === 'startComponent' && (morrigan.settings.components || {})[name])) {
+            res.status(404)
+            res.end()
+            return
+        }
+
+        let reason = (req.body && req.body.reason) || `${req.params.action} requested through the API`
+
+        try {
+            let state = await morrigan[method](name, method === 'startComponent' ? undefined : reason)
+            res.setHeader('Content-Type', 'application/json')
+            res.status(200)
+            res.end(JSON.stringify({ name, state }))
+        } catch (err) {
+            morrigan.log(`Failed to ${req.params.action} component '${name}': ${err}`, 'error')
+            res.setHeader('Content-Type', 'application/json')
+            res.status(409)
+            res.end(JSON.stringify({ name, reason: `${err}` }))
+        }
+    }
+
+    actionHandler.openapi = {
+        post: {
+            tags: [ 'components' ],
+            description: "Stops, starts or restarts a component on this instance. Requires an administrator.",
+            parameters: [
+                { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+                { name: 'action', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(actions) } }
+            ],
+            requestBody: {
+                required: false,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                reason: { type: 'string', description: "Reason passed to the component's 'onShutdown' method when stopping or restarting." }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                200: {
+                    description: "The action has been performed, see the response body for the resulting state of the component.",
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    state: { type: 'string', enum: [ 'running', 'stopped', 'failed' ] }
+                                }
+                            }
+                        }
+                    }
+                },
+                401: { description: "The caller is not authenticated." },
+                403: { description: "The caller is not an administrator." },
+                404: { description: "No such component or action." },
+                409: {
+                    description: "The action was rejected (e.g. because of the component's dependencies).",
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    reason: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    app.get('/api/components', listHandler)
+    app.post('/api/components/:name/:action', requireAdmin, actionHandler)
+}
+
+module.exports = {
+    setup
+}
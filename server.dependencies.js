@@ -0,0 +1,96 @@
+/**
+ * Returns the names of the components that the given component depends on.
+ *
+ * Dependencies declared in the component specification take precedence over dependencies declared by the module.
+ *
+ * @param {object} component Component record.
+ * @returns Array of component names.
+ */
+function getDependencies(component) {
+    let dependsOn = component.specification.dependsOn
+
+    if (dependsOn === undefined && component.module) {
+        dependsOn = component.module.dependsOn
+    }
+
+    if (dependsOn === undefined || dependsOn === null) {
+        return []
+    }
+
+    // The same rule as in the settings schema (see server.validation.js), which does not apply to modules:
+    if (!Array.isArray(dependsOn) || dependsOn.some(d => typeof d !== 'string')) {
+        throw `Invalid 'dependsOn' declaration on component '${component.name}' (expected an array of strings).`
+    }
+
+    return dependsOn
+}
+
+/**
+ * Builds a dependency graph from the given component records and orders the components topologically.
+ *
+ * Components are grouped into levels: every component in a level only depends on components in previous levels,
+ * so hooks on the components in a level can be called concurrently.
+ *
+ * Each component record will have its 'dependsOn' key set to the list of resolved dependency names.
+ *
+ * @param {Array} components Component records as built by the server's 'setup' method.
+ * @returns Array of levels, each level being an array of component records.
+ * @throws A general exception if a dependency is missing or if the dependencies contain a cycle.
+ */
+module.exports.build = (components) => {
+
+    const byName = {}
+    components.forEach(c => byName[c.name] = c)
+
+    const missing = []
+    components.forEach(c => {
+        c.dependsOn = getDependencies(c)
+        c.dependsOn.forEach(d => {
+            if (!byName[d]) {
+                missing.push(`'${c.name}' depends on '${d}'`)
+            }
+        })
+    })
+
+    if (missing.length > 0) {
+        throw `Missing component dependencies (the following components are not loaded): ${missing.join(', ')}`
+    }
+
+    const levels = []
+    const resolved = new Set()
+    let remaining = components.slice()
+
+    while (remaining.length > 0) {
+        let level = remaining.filter(c => c.dependsOn.every(d => resolved.has(d)))
+
+        if (level.length === 0) {
+            throw `Circular component dependencies detected between: ${findCycle(remaining, byName).join(' -> ')}`
+        }
+
+        level.forEach(c => resolved.add(c.name))
+        remaining = remaining.filter(c => !resolved.has(c.name))
+        levels.push(level)
+    }
+
+    return levels
+}
+
+/**
+ * Finds a dependency cycle among the given unresolved components.
+ *
+ * @param {Array} remaining Component records that could not be ordered.
+ * @param {object} byName Map of component records keyed on name.
+ * @returns Array of component names forming the cycle, starting and ending with the same name.
+ */
+function findCycle(remaining, byName) {
+    const unresolved = new Set(remaining.map(c => c.name))
+    let path = []
+    let current = remaining[0].name
+
+    while (!path.includes(current)) {
+        path.push(current)
+        current = byName[current].dependsOn.find(d => unresolved.has(d))
+    }
+
+    return path.slice(path.indexOf(current)).concat([current])
+}
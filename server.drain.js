@@ -0,0 +1,205 @@
+/**
+ * Default shutdown settings.
+ *
+ * - drainDelay: Number of milliseconds to keep serving requests after readiness has been flipped to unhealthy, giving load balancers time to stop routing traffic to the server.
+ * - gracePeriod: Number of milliseconds to wait for in-flight requests to finish once the server has stopped accepting new requests.
+ * - hookTimeout: Number of milliseconds to wait for each component's 'onShutdown' method before giving up on it.
+ * - deadline: Maximum number of milliseconds that stopping the server may take before all remaining connections are forcibly closed.
+ */
+const defaults = {
+    drainDelay: 0,
+    gracePeriod: 10000,
+    hookTimeout: 10000,
+    deadline: 30000
+}
+
+/**
+ * WebSocket close code sent to clients when the server is shutting down ('Going Away').
+ */
+const wsGoingAway = 1001
+
+/**
+ * Class used to track connections and in-flight requests on the HTTP(S) servers, and to drain them when the server stops.
+ */
+class Drain {
+
+    _servers = []
+    _wss = null
+    _sockets = new Set()
+    _inFlight = 0
+    _draining = false
+    _idleWaiters = []
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {object} servers HTTP(S) server to track, or an array of servers (one for each listener).
+     * @param {function} log Logging function.
+     */
+    constructor(servers, log) {
+        this._servers = Array.isArray(servers) ? servers : [ servers ]
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+
+        this._servers.forEach(server => server.on('connection', socket => {
+            this._sockets.add(socket)
+            socket.on('close', () => this._sockets.delete(socket))
+        }))
+    }
+
+    /**
+     * Merges the given shutdown settings with the defaults.
+     *
+     * @param {object} settings The 'shutdown' section of the server settings.
+     * @returns Shutdown settings object.
+     */
+    static getSettings(settings) {
+        return Object.assign({}, defaults, settings || {})
+    }
+
+    /**
+     * Sets the WebSocket server whose clients should be closed when draining.
+     *
+     * @param {object} wss WebSocket server (as returned by express-ws 'getWss').
+     */
+    setWebSocketServer(wss) {
+        this._wss = wss
+    }
+
+    /**
+     * Returns true while the server is draining.
+     */
+    isDraining() {
+        return this._draining
+    }
+
+    /**
+     * Returns the number of requests currently being processed.
+     */
+    getInFlight() {
+        return this._inFlight
+    }
+
+    /**
+     * Resets the drain state, allowing the server to accept requests again (e.g. when the server is restarted).
+     */
+    reset() {
+        this._draining = false
+    }
+
+    /**
+     * Function to be passed to the WebSocket server as 'verifyClient', rejecting upgrades while draining.
+     */
+    verifyClient = (info, callback) => {
+        if (this._draining) {
+            callback(false, 503, 'Server is shutting down')
+            return
+        }
+        callback(true)
+    }
+
+    /**
+     * Returns middleware that keeps count of in-flight requests and rejects new requests while draining.
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (req.ws) {
+                // WebSocket connections are tracked by the WebSocket server.
+                next()
+                return
+            }
+
+            if (this._draining) {
+                res.setHeader('Connection', 'close')
+                res.status(503)
+                res.end()
+                return
+            }
+
+            this._inFlight++
+            let finished = false
+            const done = () => {
+                if (finished) {
+                    return
+                }
+                finished = true
+                this._inFlight--
+                if (this._inFlight === 0) {
+                    let waiters = this._idleWaiters
+                    this._idleWaiters = []
+                    waiters.forEach(resolve => resolve())
+                }
+            }
+            res.on('finish', done)
+            res.on('close', done)
+
+            next()
+        }
+    }
+
+    /**
+     * Stops accepting new connections, requests and WebSocket upgrades, sends a close frame to all connected
+     * WebSocket clients and waits for in-flight requests to finish.
+     *
+     * @param {number} gracePeriod Maximum number of milliseconds to wait for in-flight requests.
+     * @returns An object with the keys 'finished' (true if all in-flight requests finished within the grace period) and 'closed' (a promise that resolves once the servers have closed).
+     */
+    async drain(gracePeriod) {
+        this._draining = true
+
+        const closed = Promise.all(this._servers.map(server => new Promise(resolve => {
+            server.close(() => resolve())
+        })))
+
+        if (this._wss) {
+            this._wss.clients.forEach(ws => {
+                try {
+                    ws.close(wsGoingAway, 'Server is shutting down')
+                } catch (err) {
+                    this.log(`Failed to close WebSocket connection: ${err}`, 'warn')
+                }
+            })
+        }
+
+        let finished = true
+        if (this._inFlight > 0) {
+            this.log(`Waiting for ${this._inFlight} in-flight request(s) to finish (grace period: ${gracePeriod}ms)...`)
+            let timeout = null
+            finished = await Promise.race([
+                new Promise(resolve => this._idleWaiters.push(() => resolve(true))),
+                new Promise(resolve => { timeout = setTimeout(() => resolve(false), gracePeriod) })
+            ])
+            clearTimeout(timeout)
+        }
+
+        if (!finished) {
+            this.log(`${this._inFlight} request(s) did not finish within the grace period.`, 'warn')
+        }
+
+        return { finished, closed }
+    }
+
+    /**
+     * Destroys all remaining connections, including WebSocket connections that did not close.
+     */
+    forceClose() {
+        if (this._wss) {
+            this._wss.clients.forEach(ws => ws.terminate())
+        }
+
+        if (this._sockets.size > 0) {
+            this.log(`Closing ${this._sockets.size} remaining connection(s)...`)
+        }
+
+        this._sockets.forEach(socket => socket.destroy())
+        this._sockets.clear()
+    }
+}
+
+Drain.defaults = defaults
+
+module.exports = Drain
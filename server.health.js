@@ -0,0 +1,215 @@
+const { DateTime } = require('luxon')
+
+/**
+ * Maximum time (in milliseconds) to wait for the database to respond to a health probe.
+ */
+const dbProbeTimeout = 5000
+
+/**
+ * Checks whether the given DataStore is able to reach the database.
+ *
+ * @param {object} datastore Root DataStore of the server.
+ * @returns An object describing the connectivity of the database.
+ */
+async function checkDatabase(datastore) {
+
+    if (!datastore) {
+        return { connected: false, error: 'No connection has been established.' }
+    }
+
+    let timeout = null
+
+    try {
+        const collection = await datastore.collection('morrigan.instances')
+        await Promise.race([
+            collection.findOne({}, { projection: { _id: 1 } }),
+            new Promise((_, reject) => {
+                timeout = setTimeout(() => reject(new Error(`No response from database within ${dbProbeTimeout}ms.`)), dbProbeTimeout)
+            })
+        ])
+        return { connected: true }
+    } catch (err) {
+        return { connected: false, error: err.message || `${err}` }
+    } finally {
+        clearTimeout(timeout)
+    }
+}
+
+/**
+ * Builds a report of the lifecycle state of the given server, without checking its dependencies.
+ *
+ * @param {object} morrigan Morrigan server instance.
+ * @returns Liveness report object.
+ */
+function buildLiveReport(morrigan) {
+
+    let report = {
+        state: morrigan.getStateName(),
+        ready: morrigan.getState() === morrigan.constructor.READY,
+        uptime: null
+    }
+
+    if (morrigan.serverInfo) {
+        report.id = morrigan.serverInfo.id
+        report.uptime = Math.floor(DateTime.now().diff(DateTime.fromISO(morrigan.serverInfo.startTime)).as('seconds'))
+    }
+
+    return report
+}
+
+/**
+ * Builds a report of the current health of the given server, including the database and components.
+ *
+ * @param {object} morrigan Morrigan server instance.
+ * @returns Health report object.
+ */
+async function buildReport(morrigan) {
+
+    let report = buildLiveReport(morrigan)
+    report.database = await checkDatabase(morrigan._rootDataStore)
+    report.components = {}
+
+    if (morrigan.components) {
+        morrigan.components.forEach(c => {
+            let errors = (morrigan._errors && morrigan._errors[c.name] && morrigan._errors[c.name].setup) || []
+            report.components[c.name] = {
+                status: (errors.length > 0) ? 'failed' : 'ok',
+                errors: errors.map(e => (e && e.message) ? e.message : `${e}`)
+            }
+        })
+    }
+
+    return report
+}
+
+const liveReportSchema = {
+    type: 'object',
+    required: [ 'state', 'ready' ],
+    properties: {
+        id: {
+            description: "ID of the server instance.",
+            type: 'string'
+        },
+        state: {
+            description: "Name of the current lifecycle state of the server.",
+            type: 'string'
+        },
+        ready: {
+            description: "Whether the server is ready to serve requests.",
+            type: 'boolean'
+        },
+        uptime: {
+            description: "Number of seconds since the server was started.",
+            type: 'integer',
+            nullable: true
+        }
+    }
+}
+
+const reportSchema = {
+    type: 'object',
+    required: [ 'state', 'ready', 'database', 'components' ],
+    properties: {
+        id: {
+            description: "ID of the server instance.",
+            type: 'string'
+        },
+        state: {
+            description: "Name of the current lifecycle state of the server.",
+            type: 'string'
+        },
+        ready: {
+            description: "Whether the server is ready to serve requests.",
+            type: 'boolean'
+        },
+        uptime: {
+            description: "Number of seconds since the server was started.",
+            type: 'integer',
+            nullable: true
+        },
+        database: {
+            type: 'object',
+            properties: {
+                connected: { type: 'boolean' },
+                error: { type: 'string' }
+            }
+        },
+        components: {
+            description: "Status of each loaded component, keyed on component name. Components that failed their setup hook are reported as 'failed'.",
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: [ 'ok', 'failed' ] },
+                    errors: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+}
+
+const reportResponse = (description, schema) => {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: schema || reportSchema
+            }
+        }
+    }
+}
+
+/**
+ * Registers the '/health/live' and '/health/ready' endpoints on the given application.
+ *
+ * - '/health/live' responds with 200 as long as the server has not entered the 'error' state. It only reports the
+ *   lifecycle state, so that a slow or unreachable database does not cause the process to be restarted.
+ * - '/health/ready' responds with 200 when the server is in the 'ready' state and the database is reachable, otherwise 503.
+ *
+ * @param {object} app Express application to register the endpoints on.
+ * @param {object} morrigan Morrigan server instance to report on.
+ */
+module.exports.setup = (app, morrigan) => {
+
+    const send = (res, status, report) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.setHeader('Cache-Control', 'no-store')
+        res.status(status)
+        res.end(JSON.stringify(report))
+    }
+
+    let liveHandler = (req, res) => {
+        let report = buildLiveReport(morrigan)
+        send(res, (morrigan.getState() === morrigan.constructor.ERROR) ? 503 : 200, report)
+    }
+
+    liveHandler.openapi = {
+        get: {
+            tags: [ 'health' ],
+            description: "Liveness probe. Returns 200 unless the server has entered the 'error' state.",
+            responses: {
+                200: reportResponse("The server process is alive.", liveReportSchema),
+                503: reportResponse("The server has entered the 'error' state.", liveReportSchema)
+            }
+        }
+    }
+
+    let readyHandler = async (req, res) => {
+        let report = await buildReport(morrigan)
+        send(res, (report.ready && report.database.connected) ? 200 : 503, report)
+    }
+
+    readyHandler.openapi = {
+        get: {
+            tags: [ 'health' ],
+            description: "Readiness probe. Returns 200 once the server has reached the 'ready' state and can reach the database, and 503 before that and after the server has started stopping.",
+            responses: {
+                200: reportResponse("The server is ready to serve requests."),
+                503: reportResponse("The server is not ready to serve requests.")
+            }
+        }
+    }
+
+    app.get('/health/live', liveHandler)
+    app.get('/health/ready', readyHandler)
+}
@@ -2,7 +2,18 @@ const {v4: uuidv4} = require('uuid')
 const os = require('os')
 const { DateTime } = require('luxon')
 
-module.exports.build = async (stateStore) => {
+/**
+ * Builds the server info object, reading the server ID from the given StateStore.
+ * 
+ * If no ID has been stored yet, a new ID is generated and stored (unless 'readOnly' is set, in which case 'id' is null).
+ * 
+ * @param {object} stateStore Root StateStore of the server.
+ * @param {object} options Optional settings. Recognizes the key 'readOnly' (do not write to the StateStore).
+ * @returns The server info object.
+ */
+module.exports.build = async (stateStore, options) => {
+
+    options = options || {}
 
     let info = {}
 
@@ -14,13 +25,16 @@ module.exports.build = async (stateStore) => {
 
     let id = await stateStore.get('id')
     let installTime = null
-    if (id === null) {
+    if (id === null && options.readOnly) {
+        info.firstRun = true
+    } else if (id === null) {
         id = uuidv4()
         stateStore.set('id', id)
         installTime = DateTime.now().toISO()
         stateStore.set('installTime', installTime)
         info.firstRun = true
     } else {
+        installTime = await stateStore.get('installTime')
         info.firstRun = false
     }
 
@@ -0,0 +1,196 @@
+const { DateTime } = require('luxon')
+const { requireAuthentication } = require(`${__dirname}/server.access`)
+
+/**
+ * Default cluster settings.
+ *
+ * - checkInInterval: Number of milliseconds between instance record updates.
+ * - staleAfter: Number of milliseconds since the last check-in after which an instance is considered 'stale'.
+ * - deadAfter: Number of milliseconds since the last check-in after which an instance is considered 'dead' and its record is marked as no longer live.
+ */
+const defaults = {
+    checkInInterval: 30000,
+    staleAfter: 60000,
+    deadAfter: 300000
+}
+
+/**
+ * Reason recorded on instance records that were marked as no longer live by a peer.
+ */
+const missedCheckInsReason = 'missed check-ins'
+
+/**
+ * Merges the given cluster settings with the defaults.
+ *
+ * @param {object} settings The 'cluster' section of the server settings.
+ * @returns Cluster settings object.
+ */
+function getSettings(settings) {
+    return Object.assign({}, defaults, settings || {})
+}
+
+/**
+ * Derives the status of an instance from its record.
+ *
+ * @param {object} record Instance record from the 'morrigan.instances' collection.
+ * @param {object} settings Cluster settings (see getSettings).
+ * @param {object} now DateTime to calculate the check-in age from.
+ * @returns 'healthy', 'stale' or 'dead'.
+ */
+function getStatus(record, settings, now) {
+    if (!record.live) {
+        return 'dead'
+    }
+
+    let age = now.diff(DateTime.fromISO(record.checkInTime)).as('milliseconds')
+
+    if (age > settings.deadAfter) {
+        return 'dead'
+    }
+
+    if (age > settings.staleAfter) {
+        return 'stale'
+    }
+
+    return 'healthy'
+}
+
+/**
+ * Lists all instances recorded in the given collection.
+ *
+ * Records that are still marked as live but have exceeded the 'deadAfter' threshold will be updated to
+ * 'live: false', with the stop reason set to 'missed check-ins'.
+ *
+ * @param {object} instances The 'morrigan.instances' collection.
+ * @param {object} settings Cluster settings (see getSettings).
+ * @param {function} log Logging function.
+ * @returns An array of cluster member objects.
+ */
+async function list(instances, settings, log) {
+
+    const now = DateTime.now()
+    const records = await instances.find({}).toArray()
+    const members = []
+
+    for (const record of records) {
+
+        let status = getStatus(record, settings, now)
+
+        if (status === 'dead' && record.live) {
+            log(`Instance '${record.id}' has not checked in since ${record.checkInTime}, marking it as no longer live.`, 'warn')
+            record.live = false
+            record.stopReason = missedCheckInsReason
+            try {
+                await instances.updateOne({ id: record.id, checkInTime: record.checkInTime }, { $set: { live: false, stopReason: missedCheckInsReason } })
+            } catch (err) {
+                log(`Failed to update the instance record for '${record.id}': ${err}`, 'error')
+            }
+        }
+
+        let info = record.state || {}
+
+        members.push({
+            id: record.id,
+            hostname: info.hostname,
+            version: info.version,
+            ips: info.ips || [],
+            startTime: info.startTime,
+            components: record.components || [],
+            live: record.live,
+            leader: record.live === true && record.leader === true,
+            status,
+            checkInTime: record.checkInTime,
+            checkInAge: Math.floor(now.diff(DateTime.fromISO(record.checkInTime)).as('seconds')),
+            stopReason: record.stopReason
+        })
+    }
+
+    return members
+}
+
+const memberSchema = {
+    type: 'object',
+    required: [ 'id', 'live', 'status', 'checkInTime' ],
+    properties: {
+        id: { type: 'string', description: "ID of the server instance." },
+        hostname: { type: 'string' },
+        version: { type: 'string', description: "Morrigan server version running on the instance." },
+        ips: { type: 'array', items: { type: 'string' } },
+        startTime: { type: 'string', format: 'date-time' },
+        components: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    module: { type: 'string' },
+                    route: { type: 'string' },
+                    dependsOn: { type: 'array', items: { type: 'string' } },
+                    state: { type: 'string', enum: [ 'running', 'stopped', 'failed' ] }
+                }
+            }
+        },
+        live: { type: 'boolean', description: "False if the instance has stopped or has been marked as dead by a peer." },
+        leader: { type: 'boolean', description: "Whether the instance held the cluster leadership at its last check-in." },
+        status: { type: 'string', enum: [ 'healthy', 'stale', 'dead' ], description: "Status derived from the age of the last check-in." },
+        checkInTime: { type: 'string', format: 'date-time' },
+        checkInAge: { type: 'integer', description: "Number of seconds since the last check-in." },
+        stopReason: { description: "Reason given when the instance stopped." }
+    }
+}
+
+/**
+ * Registers the '/api/instances' endpoint on the given application.
+ *
+ * @param {object} app Express application to register the endpoint on.
+ * @param {object} morrigan Morrigan server instance.
+ */
+function setup(app, morrigan) {
+
+    let handler = async (req, res) => {
+        try {
+            let members = await morrigan.getClusterMembers()
+            res.setHeader('Content-Type', 'application/json')
+            res.status(200)
+            res.end(JSON.stringify(members))
+        } catch (err) {
+            morrigan.log(`Failed to list cluster members: ${err}`, 'error')
+            res.status(500)
+            res.end()
+        }
+    }
+
+    handler.openapi = {
+        get: {
+            tags: [ 'cluster' ],
+            description: "Lists all server instances in the cluster, with a status derived from the age of their last check-in. Requires an authenticated caller.",
+            responses: {
+                200: {
+                    description: "List of cluster members.",
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'array',
+                                items: memberSchema
+                            }
+                        }
+                    }
+                },
+                403: { description: "The caller is not authenticated." },
+                500: {
+                    description: "The instance records could not be retrieved."
+                }
+            }
+        }
+    }
+
+    app.get('/api/instances', requireAuthentication, handler)
+}
+
+module.exports = {
+    defaults,
+    getSettings,
+    getStatus,
+    list,
+    setup
+}
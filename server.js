@@ -1,15 +1,38 @@
 "use strict"
 const fs = require('fs')
+const os = require('os')
 const { DateTime } = require('luxon')
 const express = require('express')
 const expressws = require('express-ws')
 const bodyParser = require('body-parser')
 const swaggerUi = require('swagger-ui-express')
+const yaml = require('js-yaml')
 
 const StateStore = require('@adicitus/morrigan.utils.statestore')
 const DataStore  = require('@adicitus/morrigan.utils.datastore')
 
 const Logger =  require(`${__dirname}/logger`)
+const health = require(`${__dirname}/server.health`)
+const dependencies = require(`${__dirname}/server.dependencies`)
+const ServiceRegistry = require(`${__dirname}/server.services`)
+const instances = require(`${__dirname}/server.instances`)
+const componentsApi = require(`${__dirname}/server.components`)
+const LeaseManager = require(`${__dirname}/server.leases`)
+const Scheduler = require(`${__dirname}/server.scheduler`)
+const Drain = require(`${__dirname}/server.drain`)
+const settingsReload = require(`${__dirname}/server.reload`)
+const validation = require(`${__dirname}/server.validation`)
+const memoryStore = require(`${__dirname}/server.memorystore`)
+const ApiValidator = require(`${__dirname}/server.apivalidation`)
+const SecurityRegistry = require(`${__dirname}/server.security`)
+const logsApi = require(`${__dirname}/server.logs`)
+const LogLevelSync = require(`${__dirname}/server.loglevels`)
+const MetricsRegistry = require(`${__dirname}/server.metrics`)
+const Tracer = require(`${__dirname}/server.tracing`)
+const tls = require(`${__dirname}/server.tls`)
+const certificates = require(`${__dirname}/server.certificates`)
+const listeners = require(`${__dirname}/server.listeners`)
+const RevocableStores = require(`${__dirname}/server.revocable`)
 
 const serverStates = {
     error: -1,
@@ -24,6 +47,16 @@ const serverStates = {
     stopped: 8
 }
 
+/**
+ * Component names that cannot be used since their routes ('/api/<name>') are used by the server itself.
+ */
+const reservedComponentNames = [
+    'components',
+    'instances',
+    'jobs',
+    'logs'
+]
+
 /**
  * Main class of Morrigan administration system.
  */
@@ -36,10 +69,25 @@ class Morrigan {
     server = null
     logger = null
     components = null
+    services = null
+    security = null
+    metrics = null
+    tracing = null
 
     _updateInterval = null
     _serverRecord = null
     _instances = null
+    _leases = null
+    _logLevels = null
+    _schedulers = {}
+    _drain = null
+    _apiValidator = null
+    _listeners = []
+    _publicUrl = null
+    _selfSignedCertificate = null
+    _certificateWatcher = null
+    _expiryInterval = null
+    _offline = false
     _state = serverStates.error
 
     _eventHandlers = {
@@ -51,7 +99,8 @@ class Morrigan {
         started: [],
         ready: [],
         stopping: [],
-        stopped: []
+        stopped: [],
+        reloaded: []
     }
 
     /**
@@ -130,6 +179,14 @@ class Morrigan {
         return this._state
     }
 
+    /**
+     * Retrieves the name of the current state of the server.
+     * @returns Name of the current state (e.g. 'ready').
+     */
+    getStateName() {
+        return Object.keys(serverStates).find(k => serverStates[k] === this._state)
+    }
+
     /**
      * Performs pre-start configuration steps.
      * 
@@ -159,118 +216,121 @@ class Morrigan {
         this.log = this.logger.getLog()
         const log = this.log
         log('Finished setting up logging.')
-        
-        log('Loading components...')
-        let componentSpecs = serverSettings.components || {}
-        this.components = []
-        Object.keys(componentSpecs).forEach(componentName => {
 
-            let componentSpec = componentSpecs[componentName]
-            if (!componentSpec.module) {
-                log(`No module specified for component '${componentName}', skipping it...`)
-                return
-            }
-        
-            let module = null
-        
-            switch(typeof componentSpec.module) {
-                case 'function':
-                case 'object':
-                    module = componentSpec.module
-                    break
-                case 'string':
-                    try {
-                        module = require(componentSpec.module)
-                    } catch (e) {
-                        log(`Unabled to load the module '${componentSpec.module}' defined by component '${componentName}':`)
-                        log(e)
-                        return
-                    }
-                    break;
-            }
-        
-            log(`Registered component module '${componentSpec.module}' as '${componentName}'`)
+        this.services = new ServiceRegistry(log)
+        this.security = new SecurityRegistry(log)
+        this.metrics = new MetricsRegistry(log)
+        this._registerServerMetrics()
         
-            this.components.push({name: componentName, module: module, route: `/api/${componentName}`, specification: componentSpec })
-        })
-
-        let stateDir = serverSettings.stateDir || '/morrigan.server/state'
-        log(`Reading server state (looking in '${stateDir}')...`)
-        this._rootStore = await StateStore(stateDir)
-        this.serverInfo = await (require('./server.info').build(this._rootStore))
-        log('Finished reading server state.')
-        log(`Running Morrigan server version ${this.serverInfo.version}.`)
+        log('Loading components...')
+        this.components = this._loadComponents(serverSettings.components)
 
-        var server = null
-        if (serverSettings.http) {
-            if (serverSettings.http.secure === true) {
-                log('Creating as HTTPS server...')
+        log('Validating server settings...')
+        const report = this._buildSettingsReport(serverSettings, this.components)
 
-                let options = {}
+        if (!report.valid) {
+            this._failSetup(report)
+        }
 
-                // Defaults
-                let certType = 'pem'
+        log('Resolving component dependencies...')
+        try {
+            this._componentLevels = dependencies.build(this.components)
+        } catch (e) {
+            this._state = serverStates.error
+            this._emitEvent('error', e)
+            log(e, 'error')
+            throw e
+        }
+        this.services.setDependencies(this.components)
+        log(`Component setup order: ${this._componentLevels.map(level => level.map(c => c.name).join(', ')).join(' -> ')}`)
 
-                if (serverSettings.http.certType) {
-                    certType = serverSettings.http.certType
-                }
+        if (this._offline) {
+            log('Using an in-memory StateStore (offline).')
+            this._rootStore = memoryStore.createStateStore()
+        } else {
+            let stateDir = serverSettings.stateDir || '/morrigan.server/state'
+            log(`Reading server state (looking in '${stateDir}')...`)
+            this._rootStore = await StateStore(stateDir)
+        }
+        this.serverInfo = await (require('./server.info').build(this._rootStore))
+        this.logger.setServerInfo(this.serverInfo)
+        log('Finished reading server state.')
 
-                switch(certType) {
-                    case 'pem': {
-                        let certPath = `${__dirname}/cert.pem`
-                        if (serverSettings.http.certPath) {
-                            certPath = serverSettings.http.certPath
-                        }
-                        
-                        if (!fs.existsSync(certPath)) {
-                            log(`Missing certificate (expected '${certPath}')`)
-                            return
-                        }
+        // Spans are not exported when the server is set up offline (e.g. to generate the OpenAPI document):
+        this.tracing = new Tracer(this._offline ? {} : serverSettings.tracing, this.serverInfo, log)
+        log(`Running Morrigan server version ${this.serverInfo.version}.`)
 
-                        let keyPath = `${__dirname}/cert.pem`
-                        if (serverSettings.http.keyPath) {
-                            keyPath = serverSettings.http.keyPath
-                        }
+        // Servers set up offline do not listen, so a single HTTP server is enough:
+        let listenerDefinitions = [ { port: this.port } ]
+        if (serverSettings.http && !this._offline) {
+            try {
+                listenerDefinitions = listeners.getListeners(serverSettings.http)
+            } catch (e) {
+                this._failSetup({ valid: false, errors: [ { path: '/http/listeners', message: `${e}`, keyword: 'listeners' } ] })
+            }
+        }
 
-                        if (!fs.existsSync(keyPath)) {
-                            log(`Missing private key (expected '${keyPath}')`)
-                            return
-                        }
+        this._listeners = []
+        for (const definition of listenerDefinitions) {
+            this._listeners.push(await this._createListener(definition, app))
+        }
 
-                        try {
-                            options.cert = fs.readFileSync(certPath)
-                            options.key = fs.readFileSync(keyPath)
-                        } catch(e) {
-                            log('An exception occured while trying to load certificates:')
-                            log(e)
-                            return
-                        }
-                        break
-                    }
+        let preferred = this._listeners.find(l => l.settings === listeners.getPreferred(listenerDefinitions))
+        this.server = preferred.server
+        this.port = preferred.settings.port
+        this._drain = new Drain(this._listeners.map(l => l.server), log)
+
+        // Apply WebSocket logic to the application/servers (rejecting upgrades while the server is draining):
+        let ws = expressws(app, this.server, { wsOptions: { verifyClient: this._drain.verifyClient } })
+        let wss = ws.getWss()
+        // The WebSocket server re-emits errors of the HTTP server (e.g. EADDRINUSE), which are handled when listening, so
+        // they are only logged here (without a handler they would be thrown):
+        wss.on('error', (err) => log(`WebSocket server error: ${err}`, 'debug'))
+        this._listeners.filter(l => l.server !== this.server && !l.settings.redirect).forEach(l => {
+            l.server.on('upgrade', (req, socket, head) => {
+                wss.handleUpgrade(req, socket, head, client => wss.emit('connection', client, req))
+            })
+        })
+        this._drain.setWebSocketServer(wss)
+        this.metrics.gauge('morrigan_websocket_connections', "Number of open WebSocket connections.", [], null, gauge => gauge.set(wss.clients.size))
 
-                    default: {
-                        log(`Unexpected certificate type: ${certType}`)
-                        return
-                    }
-                }
+        // Use the client address and protocol reported by trusted reverse proxies (X-Forwarded-* headers) for 'req.ip',
+        // 'req.protocol' and the request log:
+        if (serverSettings.http && serverSettings.http.trustProxy !== undefined) {
+            app.set('trust proxy', serverSettings.http.trustProxy)
+        }
 
-                server = require('https').createServer(options, app)
-            }
+        // Serve the routes under the path of the public URL (e.g. when a reverse proxy forwards '/morrigan/*'):
+        this._publicUrl = listeners.parsePublicUrl(serverSettings.http && serverSettings.http.publicUrl)
+        if (this._publicUrl && this._publicUrl.prefix) {
+            log(`Serving routes under '${this._publicUrl.prefix}'.`)
+            app.use(listeners.prefixMiddleware(this._publicUrl.prefix))
         }
 
-        if (!server) {
-            log('Creating as HTTP server...')
-            server = require('http').createServer(app)
+        // Record the count and duration of requests (including those rejected while draining):
+        app.use(this.metrics.middleware())
+
+        if (this.tracing.settings.enabled) {
+            log(`Tracing requests (exporting to: ${typeof this.tracing.settings.exporter === 'string' ? this.tracing.settings.exporter : 'custom exporter'})...`)
+            app.use(this.tracing.middleware())
         }
 
-        this.server = server
+        // Track in-flight requests and reject new requests while the server is draining:
+        app.use(this._drain.middleware())
 
-        // Apply WebSocket logic to the application/server:
-        expressws(app, server)
+        // Expose the verified client certificate (if any) as 'req.clientCertificate', including on WebSocket upgrade requests:
+        app.use(tls.clientCertificate)
 
         // All request bodies should be treated as 'application/json':
         app.use(bodyParser.json())
 
+        // Health probes should be available as soon as the server starts listening:
+        log("Setting up health endpoints (@ '/health/live' and '/health/ready')...")
+        health.setup(app, this)
+
+        log("Setting up metrics endpoint (@ '/metrics')...")
+        MetricsRegistry.setup(app, this)
+
         // Add middleware from components:
         this.components.forEach(component => {
             let m = component.module
@@ -283,6 +343,11 @@ class Morrigan {
                 }
             }
         })
+
+        // Enforce the security requirements and validate requests against the '.openapi' declarations of their handlers
+        // (validation is enabled in the 'openapi' settings):
+        this._apiValidator = new ApiValidator(() => this._buildApiDoc(), log, this.security)
+        app.use(this._apiValidator.middleware(() => this.settings.openapi))
         this._state = serverStates.initialized
         this._emitEvent('initialized')
 
@@ -290,240 +355,1150 @@ class Morrigan {
     }
 
     /**
-     * Starts this server instance.
+     * Validates the server settings without setting up the server.
      * 
-     * This will cause the server to attempt a connection with the configured MongoDB connection string.
+     * The component modules are loaded in order to validate the component specifications against their 'settingsSchema'.
      * 
-     * If the connection succeeds, all loaded components will be configured using their .setup method.
+     * @returns A validation report (see server.validation.js).
+     */
+    validateSettings() {
+        return this._buildSettingsReport(this.settings, this._loadComponents(this.settings.components))
+    }
+
+    /**
+     * Loads the modules for all of the given component specifications.
      * 
-     * If the 'setup' method has not been called, this method will attempt to call it in order to initialize the server.
+     * @param {object} componentSpecs Component specifications, keyed by component name.
+     * @returns Array of component records for the components that could be loaded.
      */
-    async start(callback) {
+    _loadComponents(componentSpecs) {
+        componentSpecs = componentSpecs || {}
 
-        const self = this
+        let components = []
+        Object.keys(componentSpecs).forEach(componentName => {
+            if (!componentSpecs[componentName] || typeof componentSpecs[componentName] !== 'object') {
+                // Reported by the settings validation.
+                return
+            }
 
-        if (this._state < serverStates.initialized) {
-            if (this._state == serverStates.initializing) {
-                // Wait for server initialization to finish:
-                await new Promise(resolve => {
-                    self.on('initialized', () => {
-                        resolve()
-                    })
-                })
-            } else {
-                try {
-                    this.log(`'start' method called, but server is not in an initialized state. Attempting to initialize...`)
-                    await this.setup()
-                } catch(e) {
-                    this._state = serverStates.error
-                    this.log(`Failed to initialize: ${JSON.stringify(e)}`)
-                    this.error = e
-                    return
-                }
+            let component = this._loadComponent(componentName, componentSpecs[componentName])
+            if (component) {
+                components.push(component)
             }
-        }
+        })
 
-        const serverInfo = this.serverInfo
-        const serverSettings = this.settings
-        const app = this.app
-        const log = this.log
-        const server = this.server
-        const port = this.port
+        return components
+    }
 
-        this._state = serverStates.starting
-        this._emitEvent('starting')
-        log('Starting server...')
+    /**
+     * Builds the validation report for the given settings and loaded components, including components that could not be loaded.
+     * 
+     * @param {object} settings Server settings.
+     * @param {Array} components Component records for the components that were loaded.
+     * @returns A validation report (see server.validation.js).
+     */
+    _buildSettingsReport(settings, components) {
+        const report = this._validateSettings(settings, components)
+        const componentSpecs = (settings && settings.components) || {}
 
-        if (!serverSettings.database) {
-            log("No 'database' section specified in the server settings, unable to connect to database. Quitting.", 'error')
-            return
-        }
+        Object.keys(componentSpecs).forEach(componentName => {
+            let path = `/components/${componentName}`
+            if (components.find(c => c.name === componentName) || report.errors.find(e => e.path === path || e.path.startsWith(`${path}/`))) {
+                return
+            }
+            report.errors.push({ path: `${path}/module`, message: 'could not be loaded', keyword: 'module' })
+        })
+        report.valid = report.errors.length === 0
 
-        if (!serverSettings.database.connectionString) {
-            log("No 'connectionString' specified in 'database' section of the server settings, unable to connect to database. Quitting.", 'error')
-            return
-        }
+        return report
+    }
 
-        let dbname = serverSettings.database.dbname
-        if (!dbname) {
-            log("No 'dbname' specified in 'database' section of the server settings, server records will be stored in the database named 'test'.", 'warn')
-            dbname = 'test'
-        }
-        
-        const environment = {
-            log,
-            info: serverInfo
+    /**
+     * Validates the given settings, including the specifications of the given components against their 'settingsSchema'.
+     * 
+     * @param {object} settings Server settings.
+     * @param {Array} components Component records to validate the specifications of.
+     * @returns A validation report (see server.validation.js).
+     */
+    _validateSettings(settings, components) {
+        const report = validation.validate(settings, { reservedComponentNames })
+        report.errors = report.errors.concat(validation.validateComponents(components))
+        if (this._offline) {
+            // No database connection is made when running offline:
+            report.errors = report.errors.filter(e => !(e.keyword === 'required' && (e.path === '/database' || e.path === '/database/connectionString')))
         }
+        report.valid = report.errors.length === 0
+        return report
+    }
 
-        log("Establish connection to MongoDB...")
-
-        var datastore = null
-        try {
-            datastore = await DataStore(serverSettings.database.connectionString, { dbName: serverSettings.database.dbname })
-            this._state = serverStates.starting_connected
-            this._emitEvent('starting_connected')
+    /**
+     * Moves the server to the 'error' state because its settings are invalid, emitting the 'error' event with the validation report.
+     * 
+     * @param {object} report Validation report (see server.validation.js).
+     * @throws A general exception listing all errors in the report.
+     */
+    _failSetup(report) {
+        const message = validation.format(report)
+        this.log(message, 'error')
 
-            log('MongoDB server connected.')
-            log(`Using DB '${serverSettings.database.dbname}'.`)
+        this._settingsReport = report
+        this.error = report
+        this._state = serverStates.error
+        this._emitEvent('error', report)
 
-            this._rootDataStore = datastore
-            environment.db = datastore
-        } catch (err) {
-            this._state = serverStates.error
-            this._emitEvent('error', err)
+        throw message
+    }
 
-            log('Error while connecting to DB:', 'error')
-            log(err)
-            if (err.stack) {
-                log(err.stack)
-            }
+    /**
+     * Loads the module specified by a component specification and builds a component record for it.
+     * 
+     * @param {string} componentName Name of the component.
+     * @param {object} componentSpec Component specification (see server.settings.sample.js).
+     * @returns A component record, or null if the component could not be loaded.
+     */
+    _loadComponent(componentName, componentSpec) {
+        const log = this.log
 
-            this.error = err
-            typeof callback === 'function' && callback(err)
+        if (reservedComponentNames.includes(componentName)) {
+            log(`The component name '${componentName}' is reserved by the server, skipping it...`, 'error')
+            return null
         }
 
-        
-        if (environment.db === undefined) {
-            log(`Connection to DB failed: ${this.error}`, 'error')
-            return
+        if (!componentSpec.module) {
+            log(`No module specified for component '${componentName}', skipping it...`)
+            return null
         }
-
-        log("Settings up HTTP(S) listener...")
-        let listenPromise = new Promise(resolveHttp => {
-            server.listen(port, async () => {
-                log(`Listening on port ${port}.`)
-
-                this._state = serverStates.started
-                this._emitEvent('started')
-                
-                let protocol = this.settings.http && this.settings.http.secure ? 'https' : 'http'
-                let hostname = this.settings.http && this.settings.http.hostname ? this.settings.http.hostname : (server.address().address)
-                environment.baseUrl = `${protocol}://${hostname}:${port}`
     
-                log(`API base URL: ${environment.baseUrl}`, 'info')
+        let module = null
+    
+        switch(typeof componentSpec.module) {
+            case 'function':
+            case 'object':
+                module = componentSpec.module
+                break
+            case 'string':
+                try {
+                    module = require(componentSpec.module)
+                } catch (e) {
+                    log(`Unabled to load the module '${componentSpec.module}' defined by component '${componentName}':`)
+                    log(e)
+                    return null
+                }
+                break;
+        }
+    
+        log(`Registered component module '${componentSpec.module}' as '${componentName}'`)
+    
+        return {name: componentName, module: module, route: `/api/${componentName}`, specification: componentSpec, state: 'stopped' }
+    }
 
-                resolveHttp()
-            })
-        })
+    /**
+     * Creates the HTTP(S) server for a listener.
+     * 
+     * Redirect-only listeners redirect all requests to the server's base URL, other listeners serve the application.
+     * 
+     * @param {object} definition Listener definition (see server.listeners.js).
+     * @param {object} app The Express application.
+     * @returns A listener record, with the listener's 'settings' and 'server', and 'certificateInfo' (for HTTPS listeners).
+     */
+    async _createListener(definition, app) {
+        const log = this.log
+        const handler = definition.redirect === true ? listeners.redirectHandler(() => this._environment && this._environment.baseUrl) : app
+        const record = { settings: definition, server: null, certificateInfo: null }
 
-        listenPromise.catch(err => {
-            this._state = serverStates.error
-            this.error = err
-            environment.log(`An error occurred while starting HTTP listener: ${err.message}`, 'error')
-            environment.log(err, 'error')
-            typeof callback === 'function' && callback(err)
-        })
+        log(`Creating listener for ${listeners.describe(definition)}...`)
 
-        await listenPromise
+        if (definition.secure !== true || this._offline) {
+            record.server = require('http').createServer(handler)
+            return record
+        }
 
-        if (environment.baseUrl === undefined) {
-            log(`Failed to start HTTP listener: ${this.error}`)
-            return
+        let httpSettings = Object.assign({}, certificates.defaults, definition)
+        if (httpSettings.selfSigned && !this._hasCertificateFiles(httpSettings) && !this._selfSignedCertificate) {
+            log('No certificate files found, using a self-signed certificate.', 'warn')
+            this._selfSignedCertificate = await certificates.getSelfSigned(this._rootStore, httpSettings.hostname || os.hostname(), httpSettings.expiryWarning, log)
         }
 
-        // Setup all of the loaded components:
-        await this._executeComponentHooks('setup', async (c) => {
-            
-            let router = express.Router()
-            app.use(c.route, router)
-            router._morrigan = { route: c.route }
-
-            c.specification.endpointUrl = environment.baseUrl + c.route
-            log(`Building environment for component '${c.name}' (${c.specification.endpointUrl})`, 'info')
-            let env = Object.assign({}, environment)
-            env.state = await this._rootStore.getStore(c.name, 'delegate')
-            env.db = await env.db.getDataStore(c.name, 'delegate')
-
-            return [c.name, c.specification, router, env]
-        })
+        let options = null
+        try {
+            options = this._loadCertificates(definition)
+        } catch (e) {
+            this._failSetup({ valid: false, errors: [ { path: '/http', message: `${e}`, keyword: 'certificate' } ] })
+        }
 
-        log("Setting up OpenAPI endpoint (@ '/api-docs')...")
-        app.get('/api-docs', (req, res) => {
+        record.certificateInfo = certificates.describe(options)
+        if (record.certificateInfo) {
+            certificates.logExpiry(record.certificateInfo, httpSettings.expiryWarning, log)
+        }
 
-            let routes = this._buildApiDoc()
+        if (definition.requestCert === true) {
+            // Connections without a valid client certificate are only accepted if 'rejectUnauthorized' is false:
+            options.requestCert = true
+            options.rejectUnauthorized = definition.rejectUnauthorized !== false
+            log(`Requesting client certificates (${options.rejectUnauthorized ? 'rejecting connections without a valid certificate' : 'optional'})...`)
+        }
 
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify(routes))
-        })
-        log("OpenAPI setup finished.")
+        record.server = require('https').createServer(options, handler)
+        return record
+    }
 
-        log("Setting up SwaggerUI (@ '/api-docs/view')")
-        app.use('/api-docs/view', swaggerUi.serve, swaggerUi.setup(null, {
-            swaggerOptions: {
-                url: '/api-docs'
-            }
-        }))
-        log("SwaggerUI setup finished.")
-        
+    /**
+     * Returns the paths of the certificate files specified in the given HTTP settings (or their defaults).
+     * 
+     * @param {object} httpSettings The 'http' section of the server settings.
+     * @returns An object with the 'certPath' and 'keyPath' (null for PFX files, which include the key).
+     */
+    _getCertificatePaths(httpSettings) {
+        if (httpSettings.certType === 'pfx') {
+            return { certPath: httpSettings.certPath || `${__dirname}/cert.pfx`, keyPath: null }
+        }
 
-        log('Setting up instance reporting...')
+        return {
+            certPath: httpSettings.certPath || `${__dirname}/cert.pem`,
+            keyPath: httpSettings.keyPath || `${__dirname}/cert.pem`
+        }
+    }
 
-        const instances = await this._rootDataStore.collection('morrigan.instances')
-        this._instances = instances
+    /**
+     * Returns true if the certificate files specified in the given HTTP settings exist.
+     * 
+     * @param {object} httpSettings The 'http' section of the server settings.
+     */
+    _hasCertificateFiles(httpSettings) {
+        let { certPath, keyPath } = this._getCertificatePaths(httpSettings)
+        return fs.existsSync(certPath) && (keyPath === null || fs.existsSync(keyPath))
+    }
 
-        const selector = {id: serverInfo.id}
-        let remoteRecord = await instances.findOne(selector)
+    /**
+     * Loads the TLS certificates specified in the given HTTP settings into the running HTTPS listeners. Connections that
+     * have already been established keep using the previous certificate.
+     * 
+     * The listener definitions are matched to the running listeners by where they listen (see 'listeners.getKey').
+     * 
+     * @param {object} httpSettings The 'http' section of the server settings.
+     * @throws A general exception if the settings define other listeners than the running ones (nothing is loaded
+     *  then), or if a certificate cannot be loaded (see '_loadCertificates'), listeners whose certificate could be
+     *  loaded use the new certificate.
+     */
+    _reloadCertificates(httpSettings) {
+        let definitions = listeners.getListeners(httpSettings)
+        let keys = definitions.map(listeners.getKey)
+        let errors = []
 
-        const serverRecord = {
-            id: serverInfo.id,
-            components: [],
-            state: serverInfo,
-            live: true,
-            checkInTime: DateTime.now().toISO()
+        if (keys.length !== this._listeners.length || this._listeners.some(record => !keys.includes(listeners.getKey(record.settings)))) {
+            throw 'The listeners have changed, certificates can only be loaded once the server has been restarted.'
         }
 
-        this.components.forEach(c => {
-            let c2 = {}
+        this._listeners.forEach((record) => {
+            let definition = definitions[keys.indexOf(listeners.getKey(record.settings))]
+            if (record.settings.secure !== true || definition.secure !== true) {
+                return
+            }
 
-            Object.keys(c).forEach(k => {
-                if (k === 'module') {
-                    // Skip the loaded module.
-                    return
-                }
+            try {
+                let options = this._loadCertificates(definition)
+                record.server.setSecureContext(options)
+                record.settings = definition
 
-                if (k === 'specification') {
-                    // Extract module spec and discard the rest to avoid trouble when storing the record:
-                    let m = c[k].module
-                    switch (typeof m) {
-                        case 'function':
-                        case 'object':
-                            c2.module = 'anonymous'
-                            break
-                        case 'string':
-                            c2.module = m
-                            break
-                    }
-                    return
+                let info = certificates.describe(options)
+                if (info) {
+                    this.log(`Loaded TLS certificate for '${info.subject.CN || ''}' on ${listeners.describe(definition)} (fingerprint: ${info.fingerprint}).`)
+                    certificates.logExpiry(info, Object.assign({}, certificates.defaults, definition).expiryWarning, this.log)
                 }
-
-                c2[k] = c[k]
-            })
-
-            serverRecord.components.push(c2)
+                record.certificateInfo = info
+            } catch (e) {
+                errors.push(`${listeners.describe(definition)}: ${e}`)
+            }
         })
 
-        this._serverRecord = serverRecord
-
-        if (remoteRecord == null) {
-            log('Registering instance...')
-            await instances.insertOne(serverRecord)
-        } else {
-            log('Updating instance record...')
-            await instances.replaceOne(selector, serverRecord)
+        if (errors.length > 0) {
+            throw errors.join('; ')
         }
+    }
 
-        this._updateInterval = setInterval(async () => {
-            serverRecord.checkInTime = DateTime.now().toISO()
-            instances.replaceOne(selector, serverRecord)
-        }, 30000)
+    /**
+     * Starts watching the certificate files specified in the given HTTP settings (unless 'watchCertificates' is false),
+     * loading them into the running server when they change, and checking the certificate's expiry every day.
+     * 
+     * Self-signed certificates are replaced when they are about to expire. Certificate files that appear while a
+     * self-signed certificate is in use replace it.
+     * 
+     * @param {object} httpSettings The 'http' section of the server settings.
+     */
+    _watchCertificates(httpSettings) {
+        this._stopWatchingCertificates()
 
-        log('Finished instance reporting setup.')
+        const log = this.log
+        const secure = listeners.getListeners(httpSettings).filter(l => l.secure === true).map(l => Object.assign({}, certificates.defaults, l))
+
+        let paths = new Set()
+        secure.filter(l => l.watchCertificates).forEach(l => {
+            let { certPath, keyPath } = this._getCertificatePaths(l)
+            ;[ certPath, keyPath ].concat(l.caPath || []).filter(p => p).forEach(p => paths.add(p))
+        })
+
+        if (paths.size > 0) {
+            paths = Array.from(paths)
+            log(`Watching certificate files for changes: ${paths.join(', ')}`)
+            this._certificateWatcher = new certificates.CertificateWatcher(paths, () => {
+                try {
+                    this._reloadCertificates(httpSettings)
+                } catch (e) {
+                    log(`Unable to load the changed certificate files, keeping the current certificate: ${e}`, 'warn')
+                }
+            }, log)
+            this._certificateWatcher.start()
+        }
+
+        this._expiryInterval = setInterval(async () => {
+            try {
+                let selfSigned = secure.find(l => l.selfSigned && !this._hasCertificateFiles(l))
+                if (this._selfSignedCertificate && selfSigned) {
+                    let current = this._selfSignedCertificate
+                    this._selfSignedCertificate = await certificates.getSelfSigned(this._rootStore, selfSigned.hostname || os.hostname(), selfSigned.expiryWarning, log)
+                    if (this._selfSignedCertificate !== current) {
+                        this._reloadCertificates(httpSettings)
+                        return
+                    }
+                }
+
+                this._listeners.filter(l => l.certificateInfo).forEach(l => {
+                    certificates.logExpiry(l.certificateInfo, Object.assign({}, certificates.defaults, l.settings).expiryWarning, log)
+                })
+            } catch (e) {
+                log(`Failed to check the TLS certificate: ${e}`, 'warn')
+            }
+        }, certificates.expiryCheckInterval)
+        this._expiryInterval.unref()
+    }
+
+    /**
+     * Stops watching the certificate files and checking the certificate's expiry.
+     */
+    _stopWatchingCertificates() {
+        if (this._certificateWatcher) {
+            this._certificateWatcher.stop()
+            this._certificateWatcher = null
+        }
+
+        clearInterval(this._expiryInterval)
+        this._expiryInterval = null
+    }
+
+    /**
+     * Reads the TLS certificate and private key specified in the given HTTP settings, along with the CA certificates
+     * used to verify client certificates.
+     * 
+     * @param {object} httpSettings The 'http' section of the server settings.
+     * @returns TLS options (cert and key, or pfx, plus passphrase and ca) that can be passed to https.createServer or server.setSecureContext.
+     * @throws A general exception if the certificate, key or a CA certificate is missing or cannot be read.
+     */
+    _loadCertificates(httpSettings) {
+        let options = {}
+
+        // Defaults
+        let certType = 'pem'
+
+        if (httpSettings.certType) {
+            certType = httpSettings.certType
+        }
+
+        switch(certType) {
+            case 'pem': {
+                let { certPath, keyPath } = this._getCertificatePaths(httpSettings)
+
+                if (httpSettings.selfSigned === true && this._selfSignedCertificate && !this._hasCertificateFiles(httpSettings)) {
+                    options.cert = this._selfSignedCertificate.cert
+                    options.key = this._selfSignedCertificate.key
+                    break
+                }
+                
+                if (!fs.existsSync(certPath)) {
+                    throw `Missing certificate (expected '${certPath}')`
+                }
+
+                if (!fs.existsSync(keyPath)) {
+                    throw `Missing private key (expected '${keyPath}')`
+                }
+
+                try {
+                    options.cert = fs.readFileSync(certPath)
+                    options.key = fs.readFileSync(keyPath)
+                } catch(e) {
+                    throw `An exception occured while trying to load certificates: ${e}`
+                }
+                break
+            }
+
+            case 'pfx': {
+                let pfxPath = this._getCertificatePaths(httpSettings).certPath
+
+                if (!fs.existsSync(pfxPath)) {
+                    throw `Missing PFX/PKCS#12 file (expected '${pfxPath}')`
+                }
+
+                try {
+                    options.pfx = fs.readFileSync(pfxPath)
+                } catch(e) {
+                    throw `An exception occured while trying to load certificates: ${e}`
+                }
+                break
+            }
+
+            default: {
+                throw `Unexpected certificate type: ${certType}`
+            }
+        }
+
+        if (httpSettings.passphrase) {
+            options.passphrase = httpSettings.passphrase
+        }
+
+        if (httpSettings.caPath) {
+            let caPaths = Array.isArray(httpSettings.caPath) ? httpSettings.caPath : [ httpSettings.caPath ]
+            options.ca = caPaths.map(caPath => {
+                if (!fs.existsSync(caPath)) {
+                    throw `Missing CA certificate (expected '${caPath}')`
+                }
+
+                try {
+                    return fs.readFileSync(caPath)
+                } catch(e) {
+                    throw `An exception occured while trying to load CA certificates: ${e}`
+                }
+            })
+        }
+
+        // Check that the certificate, key and passphrase fit together (the server would otherwise fail when it is created):
+        try {
+            require('tls').createSecureContext(options)
+        } catch(e) {
+            throw `Unable to use the configured certificate: ${e.message}`
+        }
+
+        return options
+    }
+
+    /**
+     * Starts this server instance.
+     * 
+     * This will cause the server to attempt a connection with the configured MongoDB connection string.
+     * 
+     * If the connection succeeds, all loaded components will be configured using their .setup method.
+     * 
+     * If the 'setup' method has not been called, this method will attempt to call it in order to initialize the server.
+     * 
+     * @param {function} callback Optional function to call once the server is ready (or has failed to start).
+     * @param {object} options Optional settings. Recognizes the following keys:
+     *  - listen {boolean}: Set to false to set up the components without listening for requests or joining the cluster
+     *    (no leader election or instance record). This is used to inspect the server, e.g. to build the OpenAPI document.
+     */
+    async start(callback, options) {
+
+        options = options || {}
+        const listen = options.listen !== false
+
+        const self = this
+
+        if (this._settingsReport) {
+            this.log("'start' method called, but the server settings are invalid (see the 'error' event). Quitting.", 'error')
+            typeof callback === 'function' && callback(this.error)
+            return
+        }
+
+        if (this._state < serverStates.initialized) {
+            if (this._state == serverStates.initializing) {
+                // Wait for server initialization to finish:
+                await new Promise(resolve => {
+                    self.on('initialized', () => {
+                        resolve()
+                    })
+                    self.on('error', () => {
+                        resolve()
+                    })
+                })
+
+                if (this._state === serverStates.error) {
+                    this.log("Server initialization failed. Quitting.", 'error')
+                    typeof callback === 'function' && callback(this.error)
+                    return
+                }
+            } else {
+                try {
+                    this.log(`'start' method called, but server is not in an initialized state. Attempting to initialize...`)
+                    await this.setup()
+                } catch(e) {
+                    this._state = serverStates.error
+                    // Invalid settings have been reported by 'setup', keep the validation report as the error:
+                    this.error = this._settingsReport || e
+                    this.log(`Failed to initialize: ${this._settingsReport ? validation.format(this._settingsReport) : e}`, 'error')
+                    typeof callback === 'function' && callback(this.error)
+                    return
+                }
+            }
+        }
+
+        const serverInfo = this.serverInfo
+        const serverSettings = this.settings
+        const app = this.app
+        const log = this.log
+        const server = this.server
+        const port = this.port
+
+        this._state = serverStates.starting
+        this._emitEvent('starting')
+
+        this.tracing.start()
+        log('Starting server...')
+
+        if (!serverSettings.database && !this._offline) {
+            log("No 'database' section specified in the server settings, unable to connect to database. Quitting.", 'error')
+            this._state = serverStates.error
+            this._emitEvent('error', "No 'database' section specified in the server settings.")
+            return
+        }
+
+        if (!this._offline && !serverSettings.database.connectionString) {
+            log("No 'connectionString' specified in 'database' section of the server settings, unable to connect to database. Quitting.", 'error')
+            this._state = serverStates.error
+            this._emitEvent('error', "No 'connectionString' specified in 'database' section of the server settings.")
+            return
+        }
+
+        let dbname = (serverSettings.database || {}).dbname
+        if (!dbname && !this._offline) {
+            log("No 'dbname' specified in 'database' section of the server settings, server records will be stored in the database named 'test'.", 'warn')
+            dbname = 'test'
+        }
+        
+        const environment = {
+            log,
+            info: serverInfo
+        }
+
+        log(this._offline ? "Using an in-memory DataStore (offline)." : "Establish connection to MongoDB...")
+
+        var datastore = null
+        try {
+            if (this._offline) {
+                datastore = memoryStore.createDataStore()
+            } else {
+                datastore = await DataStore(serverSettings.database.connectionString, { dbName: serverSettings.database.dbname })
+            }
+            this._state = serverStates.starting_connected
+            this._emitEvent('starting_connected')
+
+            if (!this._offline) {
+                log('MongoDB server connected.')
+                log(`Using DB '${serverSettings.database.dbname}'.`)
+            }
+
+            this._rootDataStore = datastore
+            environment.db = datastore
+
+            // Start writing to any 'mongo' log transports:
+            await this.logger.setDataStore(datastore)
+        } catch (err) {
+            this._state = serverStates.error
+            this._emitEvent('error', err)
+
+            log('Error while connecting to DB:', 'error')
+            log(err)
+            if (err.stack) {
+                log(err.stack)
+            }
+
+            this.error = err
+            typeof callback === 'function' && callback(err)
+        }
+
+        
+        if (environment.db === undefined) {
+            log(`Connection to DB failed: ${this.error}`, 'error')
+            return
+        }
+
+        const clusterSettings = instances.getSettings(serverSettings.cluster)
+
+        this._leases = new LeaseManager(await this._rootDataStore.collection('morrigan.leases'), serverInfo.id, clusterSettings, log)
+        if (listen) {
+            log('Joining cluster leader election...')
+            try {
+                await this._leases.start()
+            } catch (err) {
+                log(`Failed to join cluster leader election: ${err}`, 'error')
+            }
+        }
+
+        const loggerSettings = Object.assign({}, LogLevelSync.defaults, serverSettings.logger)
+        this._logLevels = new LogLevelSync(await this._rootDataStore.collection('morrigan.logLevels'), serverInfo.id, this.logger, log)
+        if (listen) {
+            log('Reading log level overrides...')
+            await this._logLevels.start(loggerSettings.levelSyncInterval)
+        }
+
+        log(listen ? "Settings up HTTP(S) listeners..." : "Not listening for requests (listen: false).")
+        this._drain.reset()
+
+        // The base URL reported to components is the public URL, or otherwise the URL of the preferred listener:
+        const preferred = this._listeners.find(l => l.server === server).settings
+        const protocol = preferred.secure === true ? 'https' : 'http'
+        const buildBaseUrl = (address) => {
+            if (this._publicUrl) {
+                return this._publicUrl.baseUrl
+            }
+            let hostname = preferred.hostname ? preferred.hostname : address
+            // Sockets have no port, so the URL is only meaningful with a 'hostname' (or 'publicUrl'):
+            return preferred.socketPath ? `${protocol}://${hostname}` : `${protocol}://${hostname}:${port}`
+        }
+
+        let listenPromise = new Promise((resolveHttp, rejectHttp) => {
+            if (!listen) {
+                this._state = serverStates.started
+                this._emitEvent('started')
+
+                environment.baseUrl = buildBaseUrl('localhost')
+                resolveHttp()
+                return
+            }
+
+            Promise.all(this._listeners.map(l => listeners.listen(l.server, l.settings).then(() => {
+                log(`Listening for ${listeners.describe(l.settings)}.`)
+            }))).then(() => {
+                this._state = serverStates.started
+                this._emitEvent('started')
+
+                environment.baseUrl = buildBaseUrl(preferred.socketPath ? 'localhost' : server.address().address)
+    
+                log(`API base URL: ${environment.baseUrl}`, 'info')
+
+                resolveHttp()
+            }, err => {
+                // Stop the listeners that did start:
+                this._listeners.filter(l => l.server.listening).forEach(l => l.server.close())
+                rejectHttp(err)
+            })
+        })
+
+        await listenPromise.catch(err => {
+            this._state = serverStates.error
+            this.error = err
+            environment.log(`An error occurred while starting HTTP listener: ${err.message}`, 'error')
+            environment.log(err, 'error')
+        })
+
+        if (environment.baseUrl === undefined) {
+            log(`Failed to start HTTP listener: ${this.error}`)
+
+            // Leave the cluster and release the connection, so that the process does not linger without listening:
+            await this._leases.stop()
+            this._logLevels.stop()
+            await this.tracing.shutdown()
+            await this.logger.setDataStore(null)
+            await this._rootDataStore.discard()
+
+            this._emitEvent('error', this.error)
+            typeof callback === 'function' && callback(this.error)
+            return
+        }
+
+        if (listen && this._listeners.some(l => l.settings.secure === true)) {
+            this._watchCertificates(serverSettings.http)
+        }
+
+        this._environment = environment
+
+        // Setup all of the loaded components:
+        this.services.setPending(this.components.map(c => c.name))
+        await this._executeComponentHooks('setup', async (c) => this._buildComponentSetupArgs(c), this._getComponentSetupOptions())
+
+        log("Setting up OpenAPI endpoint (@ '/api-docs')...")
+        app.get('/api-docs', (req, res) => {
+
+            let routes = this._buildApiDoc()
+
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify(routes))
+        })
+        log("OpenAPI setup finished.")
+
+        log("Setting up SwaggerUI (@ '/api-docs/view')")
+        app.use('/api-docs/view', swaggerUi.serve, swaggerUi.setup(null, {
+            swaggerOptions: {
+                url: `${this._publicUrl ? this._publicUrl.prefix : ''}/api-docs`
+            }
+        }))
+        log("SwaggerUI setup finished.")
+        
+
+        log("Setting up cluster instances endpoint (@ '/api/instances')...")
+        instances.setup(app, this)
+
+        log("Setting up jobs endpoint (@ '/api/jobs')...")
+        Scheduler.setup(app, this)
+
+        log("Setting up components endpoint (@ '/api/components')...")
+        componentsApi.setup(app, this)
+
+        log("Setting up logs endpoint (@ '/api/logs')...")
+        logsApi.setup(app, this)
+        this._apiValidator.reset()
+
+        if (!listen) {
+            log("Server is READY (not listening).")
+            this._state = serverStates.ready
+            this._emitEvent('ready')
+
+            typeof callback === 'function' && callback()
+            return
+        }
+
+        log('Setting up instance reporting...')
+
+        const instancesCollection = await this._rootDataStore.collection('morrigan.instances')
+        this._instances = instancesCollection
+
+        const selector = {id: serverInfo.id}
+        let remoteRecord = await instancesCollection.findOne(selector)
+
+        const serverRecord = {
+            id: serverInfo.id,
+            components: this._buildComponentRecords(),
+            state: serverInfo,
+            live: true,
+            leader: this._leases.isLeader(),
+            checkInTime: DateTime.now().toISO()
+        }
+
+        this._serverRecord = serverRecord
+
+        if (remoteRecord == null) {
+            log('Registering instance...')
+            await instancesCollection.insertOne(serverRecord)
+        } else {
+            log('Updating instance record...')
+            await instancesCollection.replaceOne(selector, serverRecord)
+        }
+
+        this._updateInterval = setInterval(async () => {
+            serverRecord.checkInTime = DateTime.now().toISO()
+            serverRecord.leader = this._leases.isLeader()
+            await this._checkIn(serverRecord)
+        }, clusterSettings.checkInInterval)
+
+        log('Finished instance reporting setup.')
+
+        log("Server is READY.")
+        self._state = serverStates.ready
+        this._emitEvent('ready')
+
+        typeof callback === 'function' && callback()
+    }
+
+    /**
+     * Builds the arguments passed to a component's 'setup' method: a fresh router mounted at the component's route
+     * and an environment with delegated stores and scoped server APIs.
+     * 
+     * Any router previously mounted for the component is detached first.
+     * 
+     * @param {object} c Component record.
+     * @returns Array of arguments for the 'setup' method.
+     */
+    async _buildComponentSetupArgs(c) {
+        const environment = this._environment
+        const log = this.log
+
+        this._detachComponentRouter(c)
+
+        let router = express.Router()
+        this.app.use(c.route, router)
+        router._morrigan = { route: c.route }
+        c.router = router
+
+        c.specification.endpointUrl = environment.baseUrl + c.route
+        log(`Building environment for component '${c.name}' (${c.specification.endpointUrl})`, 'info')
+        let env = Object.assign({}, environment)
+        env.log = this.logger.getLog({ component: c.name })
+        // The delegated stores are revoked when the component is stopped:
+        c.stores = new RevocableStores(c.name)
+        env.state = c.stores.wrap(await this._rootStore.getStore(c.name, 'delegate'))
+        env.db = c.stores.wrap(this.tracing.wrapDataStore(await env.db.getDataStore(c.name, 'delegate'), c.name))
+        env.services = this.services.getScope(c.name)
+        env.provide = env.services.provide
+        env.security = this.security.getScope(c.name)
+        env.metrics = this.metrics.getScope(c.name)
+        env.tracing = this.tracing.getScope(c.name)
+        env.cluster = this._leases.getScope(c.name)
+        this._schedulers[c.name] = new Scheduler(c.name, env.db, this.serverInfo.id, env.log)
+        env.scheduler = this._schedulers[c.name].getScope()
+        c.env = env
+
+        return [c.name, c.specification, router, env]
+    }
+
+    /**
+     * Builds the options used when calling the 'setup' hook on components, recording the outcome for each component.
+     * 
+     * @param {function} filter Optional filter function (see '_executeComponentHooks').
+     * @returns Options object for '_executeComponentHooks'.
+     */
+    _getComponentSetupOptions(filter) {
+        return {
+            filter,
+            onSettled: (c, err) => {
+                // The component's endpoints (and state) have changed:
+                this._apiValidator.reset()
+                if (err) {
+                    c.state = 'failed'
+                    this.services.setFailed(c.name, err)
+                } else {
+                    c.state = 'running'
+                    this.services.setReady(c.name)
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes the router mounted for the given component from the application, so that its endpoints are no longer served.
+     * 
+     * @param {object} c Component record.
+     */
+    _detachComponentRouter(c) {
+        if (!c.router) {
+            return
+        }
+
+        let stack = this.app._router.stack
+        let index = stack.findIndex(layer => layer.handle === c.router)
+        if (index >= 0) {
+            stack.splice(index, 1)
+        }
+        c.router = null
+        this._apiValidator.reset()
+    }
+
+    /**
+     * Builds the list of components included in the instance record.
+     * 
+     * @returns Array of objects with the component's 'name', 'module', 'route', 'dependsOn' and 'state'.
+     */
+    _buildComponentRecords() {
+        return this.components.map(c => {
+            let module = null
+            switch (typeof c.specification.module) {
+                case 'function':
+                case 'object':
+                    module = 'anonymous'
+                    break
+                case 'string':
+                    module = c.specification.module
+                    break
+            }
 
-        log("Server is READY.")
-        self._state = serverStates.ready
-        this._emitEvent('ready')
+            return {
+                name: c.name,
+                module,
+                route: c.route,
+                dependsOn: c.dependsOn || [],
+                state: c.state
+            }
+        })
+    }
 
-        typeof callback === 'function' && callback()
+    /**
+     * Writes the current component states to the instance record.
+     */
+    async _updateServerRecord() {
+        if (!this._serverRecord) {
+            return
+        }
+
+        this._serverRecord.components = this._buildComponentRecords()
+        this._serverRecord.checkInTime = DateTime.now().toISO()
+        await this._checkIn(this._serverRecord)
+    }
+
+    /**
+     * Retrieves the named component record.
+     * 
+     * @param {string} name Name of the component.
+     * @returns The component record, or undefined if no such component is loaded.
+     */
+    getComponent(name) {
+        return this.components.find(c => c.name === name)
+    }
+
+    /**
+     * Stops a single component while the server keeps running.
+     * 
+     * The component's scheduled jobs are stopped, its 'onShutdown' method is called (waiting at most 'shutdown.hookTimeout'
+     * milliseconds), its router is detached from '/api/<name>', its services, authenticators and leadership listeners are removed, and
+     * its environment is dropped. Its delegated DataStore and StateStore are discarded: the handles given to the component (and
+     * any collections or sub-stores obtained through them) throw once it has stopped, while its data is kept. The component gets
+     * new delegates when it is set up again using 'startComponent'.
+     * 
+     * Components cannot be stopped while other running components depend on them.
+     * 
+     * @param {string} name Name of the component.
+     * @param {string} reason Optional reason passed to the component's 'onShutdown' method.
+     * @returns The state of the component ('stopped').
+     */
+    async stopComponent(name, reason) {
+        if (this._state !== serverStates.ready) {
+            throw "Call to .stopComponent rejected: Server is not ready."
+        }
+
+        const c = this.getComponent(name)
+        if (!c) {
+            throw `Call to .stopComponent rejected: No component named '${name}' is loaded.`
+        }
+
+        if (c.state === 'stopped') {
+            return c.state
+        }
+
+        let dependents = this.components.filter(d => d.state === 'running' && (d.dependsOn || []).includes(name))
+        if (dependents.length > 0) {
+            throw `Call to .stopComponent rejected: The following running components depend on '${name}': ${dependents.map(d => d.name).join(', ')}`
+        }
+
+        this.log(`Stopping component '${name}'...`)
+
+        if (this._schedulers[name]) {
+            this._schedulers[name].stop()
+            delete this._schedulers[name]
+        }
+
+        this._leases.removeListeners(name)
+
+        const shutdownSettings = Drain.getSettings(this.settings.shutdown)
+        await this._executeComponentHooks('onShutdown', () => [ reason || 'component stopped' ], {
+            filter: (component) => component === c,
+            timeout: shutdownSettings.hookTimeout
+        })
+
+        this._detachComponentRouter(c)
+        this.services.setStopped(name)
+        this.security.remove(name)
+        this.metrics.remove(name)
+        if (c.stores) {
+            c.stores.revoke()
+        }
+        c.env = null
+        c.state = 'stopped'
+
+        await this._updateServerRecord()
+        this.log(`Component '${name}' stopped.`)
+
+        return c.state
+    }
+
+    /**
+     * Sets up a single component while the server keeps running.
+     * 
+     * The component's 'setup' method is called with a fresh router and environment. If no component with the given
+     * name is loaded, it is loaded from the given specification (or the server settings) first. Middleware
+     * ('getMiddleware') is only installed for components loaded when the server is set up.
+     * 
+     * All dependencies of the component must be running.
+     * 
+     * @param {string} name Name of the component.
+     * @param {object} specification Optional component specification, used if the component is not yet loaded.
+     * @returns The state of the component after setup ('running' or 'failed').
+     */
+    async startComponent(name, specification) {
+        if (this._state !== serverStates.ready) {
+            throw "Call to .startComponent rejected: Server is not ready."
+        }
+
+        let c = this.getComponent(name)
+
+        if (!c) {
+            specification = specification || (this.settings.components || {})[name]
+            if (!specification) {
+                throw `Call to .startComponent rejected: No component named '${name}' is loaded, and no specification was provided.`
+            }
+
+            c = this._loadComponent(name, specification)
+            if (!c) {
+                throw `Call to .startComponent rejected: Failed to load component '${name}'.`
+            }
+
+            const report = this._validateSettings(Object.assign({}, this.settings, { components: { [name]: specification } }), [ c ])
+            if (!report.valid) {
+                throw `Call to .startComponent rejected: ${validation.format(report)}`
+            }
+
+            try {
+                this._componentLevels = dependencies.build(this.components.concat([c]))
+            } catch (e) {
+                throw `Call to .startComponent rejected: ${e}`
+            }
+
+            this.components.push(c)
+            this.services.setDependencies(this.components)
+            this.settings = Object.assign({}, this.settings, {
+                components: Object.assign({}, this.settings.components, { [name]: specification })
+            })
+
+            if (c.module.getMiddleware) {
+                this.log(`Component '${name}' provides middleware, which is not installed for components added at runtime.`, 'warn')
+            }
+        }
+
+        if (c.state === 'running') {
+            return c.state
+        }
+
+        let missing = c.dependsOn.filter(d => this.getComponent(d).state !== 'running')
+        if (missing.length > 0) {
+            throw `Call to .startComponent rejected: The following dependencies of '${name}' are not running: ${missing.join(', ')}`
+        }
+
+        this.log(`Starting component '${name}'...`)
+
+        if (this._errors) {
+            delete this._errors[name]
+        }
+
+        this.services.setPending([ name ])
+        await this._executeComponentHooks('setup', async (c) => this._buildComponentSetupArgs(c), this._getComponentSetupOptions((component) => component === c))
+
+        await this._updateServerRecord()
+        this.log(`Component '${name}' is ${c.state}.`)
+
+        return c.state
+    }
+
+    /**
+     * Stops and then starts a single component (see 'stopComponent' and 'startComponent').
+     * 
+     * @param {string} name Name of the component.
+     * @param {string} reason Optional reason passed to the component's 'onShutdown' method.
+     * @returns The state of the component after setup ('running' or 'failed').
+     */
+    async restartComponent(name, reason) {
+        await this.stopComponent(name, reason || 'component restarting')
+        return await this.startComponent(name)
+    }
+
+    /**
+     * Applies new settings to the running server without restarting it.
+     * 
+     * The new settings are compared to the current settings, and changes are applied where possible:
+     * - Logger settings are applied to the running logger.
+     * - The TLS certificate and key are reloaded from 'http.certPath'/'http.keyPath' (HTTPS servers only).
+     * - Components whose specification changed are notified through their 'onSettingsChanged(newSpec, oldSpec)' method.
+     * 
+     * Changes that cannot be applied without restarting the server (e.g. 'http.port' or 'database', or components that
+     * were added, removed or do not implement 'onSettingsChanged') are logged and reported in the result, and the
+     * current values are kept until the server is restarted.
+     * 
+     * Emits the 'reloaded' event with the result once finished.
+     * 
+     * @param {object} newSettings New Morrigan server configuration settings.
+     * @returns An object listing the settings that were 'applied', the settings that require a restart ('requiresRestart') and any 'errors'.
+     */
+    async reload(newSettings) {
+        if (this._state !== serverStates.ready) {
+            throw "Call to .reload rejected: Server is not ready."
+        }
+
+        const log = this.log
+        const oldSettings = this.settings
+
+        log('Reloading server settings...')
+
+        const newSpecs = (newSettings && newSettings.components) || {}
+        const report = this._validateSettings(newSettings, this.components.filter(c => newSpecs[c.name]).map(c => {
+            return { name: c.name, module: c.module, specification: newSpecs[c.name] }
+        }))
+        if (!report.valid) {
+            const message = validation.format(report)
+            log(message, 'error')
+            throw `Call to .reload rejected: ${message}`
+        }
+
+        const changes = settingsReload.diff(oldSettings, newSettings)
+        const result = {
+            applied: [],
+            requiresRestart: changes.requiresRestart.slice(),
+            errors: []
+        }
+
+        if (changes.logger) {
+            try {
+                this.logger.configure(newSettings.logger)
+                result.applied.push('logger')
+            } catch (e) {
+                result.errors.push({ key: 'logger', error: `${e}` })
+            }
+        }
+
+        if (changes.certificates) {
+            try {
+                this._reloadCertificates(newSettings.http)
+                if (this._expiryInterval) {
+                    // The paths may have changed:
+                    this._watchCertificates(newSettings.http)
+                }
+                result.applied.push('http.certificates')
+            } catch (e) {
+                result.errors.push({ key: 'http.certificates', error: `${e}` })
+            }
+        }
+
+        changes.components.added.concat(changes.components.removed, changes.components.replaced).forEach(name => {
+            result.requiresRestart.push(`components.${name}`)
+        })
+
+        const appliedComponents = []
+        const changedComponents = this.components.filter(c => changes.components.changed.includes(c.name))
+
+        // Copies of the new specifications, so that adding 'endpointUrl' does not change the caller's settings:
+        const changedSpecs = {}
+        changedComponents.forEach(c => {
+            changedSpecs[c.name] = Object.assign({}, newSettings.components[c.name], { endpointUrl: c.specification.endpointUrl })
+        })
+
+        changedComponents.forEach(c => {
+            if (c.state === 'stopped') {
+                // Stopped components will be set up using the new specification when started:
+                c.specification = changedSpecs[c.name]
+                appliedComponents.push(c.name)
+                result.applied.push(`components.${c.name}`)
+                return
+            }
+
+            if (typeof c.module.onSettingsChanged !== 'function') {
+                result.requiresRestart.push(`components.${c.name}`)
+            }
+        })
+
+        await this._executeComponentHooks('onSettingsChanged', (c) => [ changedSpecs[c.name], c.specification ], {
+            filter: (c) => changedComponents.includes(c) && c.state !== 'stopped' && typeof c.module.onSettingsChanged === 'function',
+            onSettled: (c, err) => {
+                if (err) {
+                    result.errors.push({ key: `components.${c.name}`, error: `${(err && err.message) || err}` })
+                    return
+                }
+                c.specification = changedSpecs[c.name]
+                appliedComponents.push(c.name)
+                result.applied.push(`components.${c.name}`)
+            }
+        })
+
+        this.settings = settingsReload.merge(oldSettings, newSettings, appliedComponents)
+
+        result.applied.forEach(key => log(`Applied changes to '${key}'.`))
+        result.requiresRestart.forEach(key => log(`Changes to '${key}' cannot be applied without restarting the server.`, 'warn'))
+        result.errors.forEach(e => log(`Failed to apply changes to '${e.key}': ${e.error}`, 'error'))
+
+        log('Finished reloading server settings.')
+        this._emitEvent('reloaded', result)
+
+        return result
     }
 
     /**
@@ -532,6 +1507,15 @@ class Morrigan {
      * The stopReaason argument can be as short as a signal name (SIGTERM, SIGHUP), a more detailed message or even an object.
      * It will be included in the final entity record for this server.
      * 
+     * Stopping happens in phases, controlled by the 'shutdown' settings (see server.settings.sample.js):
+     *  1. The server enters the 'stopping' state, so '/health/ready' reports it as unavailable. Requests are still served for 'drainDelay' milliseconds.
+     *  2. The server stops accepting new connections, requests and WebSocket upgrades, sends a close frame to connected WebSocket clients, and waits up to 'gracePeriod' milliseconds for in-flight requests.
+     *  3. Scheduled jobs are cancelled, and the 'onShutdown' methods of all components are called, waiting at most 'hookTimeout' milliseconds for each.
+     *  4. All remaining connections are closed.
+     * 
+     * If stopping takes longer than 'deadline' milliseconds, all connections are forcibly closed. Components whose 'onShutdown'
+     * methods timed out are recorded as errors and included in the stop reason on the instance record.
+     * 
      * This method does nothing if the server is not in the 'ready' state.
      * 
      * @param {string} stopReason Reason for the server stopping.
@@ -546,33 +1530,95 @@ class Morrigan {
         this._state = serverStates.stopping
         this._emitEvent('stopping')
 
-        await this._executeComponentHooks('onShutdown', (c) => {
+        const shutdownSettings = Drain.getSettings(this.settings.shutdown)
+        const deadline = Date.now() + shutdownSettings.deadline
+        const remaining = () => Math.max(deadline - Date.now(), 0)
+
+        const deadlineTimer = setTimeout(() => {
+            this.log(`Shutdown deadline (${shutdownSettings.deadline}ms) reached, closing all connections.`, 'warn')
+            this._drain.forceClose()
+        }, shutdownSettings.deadline)
+
+        if (shutdownSettings.drainDelay > 0) {
+            this.log(`Waiting ${shutdownSettings.drainDelay}ms before draining...`)
+            await new Promise(resolve => setTimeout(resolve, Math.min(shutdownSettings.drainDelay, remaining())))
+        }
+
+        this.log('Draining HTTP server instance...')
+        const drained = await this._drain.drain(Math.min(shutdownSettings.gracePeriod, remaining()))
+
+        this.log('Stopping scheduled jobs...')
+        Object.values(this._schedulers).forEach(scheduler => scheduler.stop())
+        this._schedulers = {}
+
+        this.log('Leaving cluster leader election...')
+        await this._leases.stop()
+
+        this._logLevels.stop()
+        this.logger.clearLevels()
+
+        // A timeout of 0 would disable the timeout, so hooks still get 1ms once the deadline has passed:
+        const hookTimeout = Math.max(Math.min(shutdownSettings.hookTimeout, remaining()), 1)
+        if (remaining() === 0) {
+            this.log(`Shutdown deadline (${shutdownSettings.deadline}ms) has passed, not waiting for 'onShutdown' methods.`, 'warn')
+        }
+
+        let shutdownResult = await this._executeComponentHooks('onShutdown', (c) => {
             return [ stopReason ]
+        }, {
+            reverse: true,
+            timeout: hookTimeout,
+            filter: (c) => c.state !== 'stopped'
         })
 
-        this.log('Stopping HTTP server instance...')
-        await new Promise(resolve => {
-            this.server.close(resolve)
+        this.services.clear()
+        this.security.clear()
+        this.components.forEach(c => {
+            this.metrics.remove(c.name)
+            c.env = null
+            c.state = 'stopped'
         })
+
+        this.log('Stopping HTTP server instance...')
+        this._drain.forceClose()
+        await drained.closed
+        clearTimeout(deadlineTimer)
         this.log('HTTP server finished shutting down.')
 
+        this._stopWatchingCertificates()
+
         this.log('Stopping server record update interval...')
         clearInterval(this._updateInterval)
         
-        this.log('Updating server record...')
-        const selector = {id: this.serverInfo.id}
+        // Servers started without listening have no instance record:
         const record = this._serverRecord
-        record.checkInTime = DateTime.now().toISO()
-        record.live = false
-        record.stopReason = stopReason
-        await this._instances.replaceOne(selector, record).then(() => {
-            this.log('Instance record updated.')
-        }).catch((err) => {
-            this.log('Failed to update the instance record.', 'error')
-            this.log(err)
-        })
+        if (record !== null) {
+            this.log('Updating server record...')
+            const selector = {id: this.serverInfo.id}
+            record.checkInTime = DateTime.now().toISO()
+            record.live = false
+            record.leader = false
+            record.components = this._buildComponentRecords()
+            record.stopReason = stopReason
+            if (shutdownResult.timedOut.length > 0) {
+                record.stopReason = {
+                    reason: stopReason,
+                    timedOutComponents: shutdownResult.timedOut
+                }
+            }
+            await this._instances.replaceOne(selector, record).then(() => {
+                this.log('Instance record updated.')
+            }).catch((err) => {
+                this.log('Failed to update the instance record.', 'error')
+                this.log(err)
+            })
+        }
+
+        this.log('Exporting remaining spans...')
+        await this.tracing.shutdown()
 
         this.log("Closing connection to DB...")
+        await this.logger.setDataStore(null)
         await this._rootDataStore.discard()
 
         this._state = serverStates.stopped
@@ -581,72 +1627,323 @@ class Morrigan {
         this.log('Bye!')
     }
 
+    /**
+     * Generates the OpenAPI document without a database, state directory or HTTP listener.
+     * 
+     * The server is set up 'offline': components are set up against in-memory DataStore and StateStore objects (see
+     * server.memorystore.js), the OpenAPI document is built and the server is stopped again. The document does not
+     * include the (random) server ID, so that it can be checked into a repository and compared between builds.
+     * 
+     * This can only be called on a server that has not been set up, and the server cannot be started afterwards.
+     * 
+     * @param {object} options Optional settings. Recognizes the following keys:
+     *  - output {string}: Path of a file to write the document to.
+     *  - format {string}: Format of the written document, 'json' or 'yaml' (default: based on the file extension of 'output').
+     * @returns The OpenAPI document.
+     */
+    async generateOpenApi(options) {
+        options = options || {}
+
+        if (this._state !== serverStates.instanced) {
+            throw "Call to .generateOpenApi rejected: Server has already been set up."
+        }
+
+        this._offline = true
+        await this.setup()
+        await this.start(null, { listen: false })
+
+        if (this._state !== serverStates.ready) {
+            throw `Call to .generateOpenApi rejected: Failed to set up the server: ${this.error}`
+        }
+
+        const doc = this._buildApiDoc({ includeServerId: false })
+        await this.stop('OpenAPI document generated')
+
+        if (options.output) {
+            let format = options.format || (/\.ya?ml$/i.test(options.output) ? 'yaml' : 'json')
+            fs.writeFileSync(options.output, Morrigan.serializeApiDoc(doc, format))
+            this.log(`OpenAPI document written to '${options.output}'.`)
+        }
+
+        return doc
+    }
+
+    /**
+     * Serializes an OpenAPI document.
+     * 
+     * @param {object} doc The OpenAPI document.
+     * @param {string} format 'json' or 'yaml'.
+     * @returns The serialized document.
+     */
+    static serializeApiDoc(doc, format) {
+        switch (format) {
+            case 'yaml':
+                return yaml.dump(doc, { noRefs: true })
+            case 'json':
+                return JSON.stringify(doc, null, 4)
+            default:
+                throw `Unsupported OpenAPI document format: ${format}`
+        }
+    }
+
+    /**
+     * Retrieves all server instances registered in the cluster (including this one).
+     * 
+     * Each member's status is derived from the age of its last check-in ('healthy', 'stale' or 'dead'). Instances that
+     * are still marked as live but have not checked in within the 'cluster.deadAfter' threshold will be marked as no
+     * longer live, with the stop reason 'missed check-ins'.
+     * 
+     * @returns An array of cluster member objects.
+     */
+    async getClusterMembers() {
+        if (!this._instances) {
+            throw "Call to .getClusterMembers rejected: Server has not connected to the database."
+        }
+
+        return await instances.list(this._instances, instances.getSettings(this.settings.cluster), this.log)
+    }
+
+    /**
+     * Changes the log level of the server or of a single component, without changing the settings.
+     * 
+     * The level reverts to the one in the settings after 'logger.levelTimeout' milliseconds (see server.loglevels.js),
+     * unless another timeout is specified.
+     * 
+     * @param {string} level The level to use (see: https://www.npmjs.com/package/winston#logging-levels), or null to revert to the level in the settings.
+     * @param {string} componentName Name of the component to change the level for, or undefined to change the default level.
+     * @param {object} options Optional settings:
+     *  - propagate {boolean}: Apply the change to all instances in the cluster (default: false).
+     *  - timeout {number}: Number of milliseconds until the level reverts (0 to keep it until it is changed).
+     * @returns The current levels (see Logger.getLevels).
+     */
+    async setLogLevel(level, componentName, options) {
+        options = options || {}
+
+        if (level !== null && !validation.logLevels.includes(level)) {
+            throw `Call to .setLogLevel rejected: Unknown level '${level}' (expected one of: ${validation.logLevels.join(', ')}).`
+        }
+
+        if (componentName && !this.getComponent(componentName)) {
+            throw `Call to .setLogLevel rejected: No component named '${componentName}' is loaded.`
+        }
+
+        if (options.propagate && !this._logLevels) {
+            throw "Call to .setLogLevel rejected: Server has not connected to the database."
+        }
+
+        const loggerSettings = Object.assign({}, LogLevelSync.defaults, this.settings.logger)
+        let timeout = options.timeout === undefined ? loggerSettings.levelTimeout : options.timeout
+        let expires = (level && timeout > 0) ? new Date(Date.now() + timeout) : null
+
+        if (options.propagate) {
+            await this._logLevels.set(level, componentName, expires)
+        } else {
+            this.logger.setLevel(level, componentName, { expires })
+        }
+
+        this.log(`Log level for ${componentName ? `component '${componentName}'` : 'the server'} set to '${this.logger.getLevel(componentName)}'${expires ? ` until ${expires.toISOString()}` : ''}${options.propagate ? ' on all instances' : ''}.`)
+
+        return this.logger.getLevels()
+    }
+
+    /**
+     * Registers the metrics recorded by the server itself (see server.metrics.js).
+     * 
+     * - morrigan_server_state: 1 for the current state of the server, 0 for the others.
+     * - morrigan_component_hook_duration_seconds: Duration of component hooks (e.g. 'setup'), by component and hook.
+     * - morrigan_component_hook_failures_total: Number of component hooks that failed (threw, timed out or were skipped).
+     * - morrigan_instance_checkins_total: Number of updates to the instance record in 'morrigan.instances', by result.
+     * 
+     * The request and WebSocket metrics are registered when the application is set up.
+     */
+    _registerServerMetrics() {
+        this.metrics.gauge('morrigan_server_state', "Current state of the server (1 for the current state).", [ 'state' ], null, gauge => {
+            let current = this.getState()
+            Object.keys(serverStates).forEach(state => gauge.set({ state }, serverStates[state] === current ? 1 : 0))
+        })
+        this.metrics.histogram('morrigan_component_hook_duration_seconds', "Duration of component hooks in seconds.", [ 'component', 'hook' ])
+        this.metrics.counter('morrigan_component_hook_failures_total', "Number of component hooks that failed.", [ 'component', 'hook' ])
+        this.metrics.counter('morrigan_instance_checkins_total', "Number of instance record updates, by result.", [ 'result' ])
+    }
+
+    /**
+     * Updates the instance record, recording the result in the check-in metric.
+     * 
+     * @param {object} record The instance record.
+     * @returns True if the record was updated.
+     */
+    async _checkIn(record) {
+        const checkIns = this.metrics.get('morrigan_instance_checkins_total')
+        try {
+            await this._instances.replaceOne({ id: this.serverInfo.id }, record)
+            checkIns.inc({ result: 'success' })
+            return true
+        } catch (err) {
+            checkIns.inc({ result: 'failure' })
+            this.log(`Failed to update the instance record: ${err}`, 'error')
+            return false
+        }
+    }
+
     /**
      * Helper function to call a specified method ('hook') on all the loaded components.
      * 
      * To allow dynamic generation of arguments, this function takes a function as it's second argument.
      * 
+     * Hooks are called in dependency order: components are grouped into levels (see server.dependencies.js), and
+     * all hooks in a level are called concurrently once the previous level has finished. When calling hooks in
+     * dependency order, any component that depends on a component whose hook failed (or was skipped) will be skipped
+     * and the skip will be recorded as an error for the component.
+     * 
      * @param {string} hookName Name of the hook method to call.
      * @param {function} hookArgsCallback Function used to generate an array of arguments that should be passed to the method.
+     * @param {object} options Optional settings. Recognizes the following keys:
+     *  - reverse {boolean}: Call hooks in reverse dependency order (dependents first).
+     *  - onSettled {function}: Function called with the component record and an error (if any) once the hook has finished, failed or been skipped for a component.
+     *  - timeout {number}: Number of milliseconds to wait for each component's hook before recording it as timed out.
+     *  - filter {function}: Function called with each component record, only components for which it returns true will have their hook called.
+     * @returns An object with the keys 'failed' and 'timedOut', listing the names of components whose hooks failed or timed out.
      */
-    async _executeComponentHooks(hookName, hookArgsCallback) {
+    async _executeComponentHooks(hookName, hookArgsCallback, options) {
+
+        options = options || {}
+
+        const settled = (component, err) => {
+            typeof options.onSettled === 'function' && options.onSettled(component, err)
+        }
+
+        let levels = this._componentLevels || [ this.components ]
+        if (options.reverse) {
+            levels = levels.slice().reverse()
+        }
 
         this.log(`Calling .${hookName} methods on components...`)
-        var promises = []
-        for(const i in this.components) {
-            const component = this.components[i]
-            if (typeof component.module[hookName] === 'function') {
-                try {
-                    let hookArgs = []
-                    let promise = null
 
-                    if (typeof hookArgsCallback === 'function') {
-                        let p = null
-                        switch (hookArgsCallback.constructor.name) {
+        const failed = new Set()
+        const timedOut = []
+
+        const hookDurations = this.metrics.get('morrigan_component_hook_duration_seconds')
+        const hookFailures = this.metrics.get('morrigan_component_hook_failures_total')
+
+        // Each hook is called with a span of its own as the active span, as a child of the span for the invocation:
+        const invocationSpan = this.tracing.startSpan(`hooks ${hookName}`, { attributes: { 'morrigan.hook': hookName } })
+
+        for (const level of levels) {
+            var promises = []
+            for (const component of level) {
+
+                if (typeof options.filter === 'function' && !options.filter(component)) {
+                    continue
+                }
+
+                if (!options.reverse && component.dependsOn) {
+                    let failedDependencies = component.dependsOn.filter(d => failed.has(d))
+                    if (failedDependencies.length > 0) {
+                        let err = `Skipped .${hookName} on component '${component.name}' because the following dependencies failed: ${failedDependencies.join(', ')}`
+                        this.log(err, 'error')
+                        this._handleComponentError(hookName, component, err)
+                        hookFailures.inc({ component: component.name, hook: hookName })
+                        failed.add(component.name)
+                        settled(component, err)
+                        continue
+                    }
+                }
+
+                if (typeof component.module[hookName] === 'function') {
+                    try {
+                        let hookArgs = []
+                        let promise = null
+
+                        if (typeof hookArgsCallback === 'function') {
+                            let p = null
+                            switch (hookArgsCallback.constructor.name) {
+                                case 'AsyncFunction':
+                                    p = hookArgsCallback(component)
+                                    break
+                                case 'Function':
+                                    p = new Promise(resolve => {
+                                        resolve(hookArgsCallback(component))
+                                    })
+                                    break
+                            }
+                            try {
+                                hookArgs = await p
+                            } catch (err) {
+                                this.log(`An error occurred while preparing arguments for hook '${hookName}' on component '${component.name}': ${err}`)
+                                hookArgs = []
+                            }
+                        }
+
+                        let endTimer = hookDurations.startTimer({ component: component.name, hook: hookName })
+                        let span = this.tracing.startSpan(`${component.name}.${hookName}`, {
+                            parent: invocationSpan,
+                            attributes: { 'morrigan.component': component.name, 'morrigan.hook': hookName }
+                        })
+
+                        switch(component.module[hookName].constructor.name) {
                             case 'AsyncFunction':
-                                p = hookArgsCallback(component)
+                                promise = this.tracing.withSpan(span, () => component.module[hookName](...hookArgs))
                                 break
                             case 'Function':
-                                p = new Promise(resolve => {
-                                    resolve(hookArgsCallback(component))
+                                promise = new Promise(resolve => {
+                                    this.tracing.withSpan(span, () => component.module[hookName](...hookArgs))
+                                    resolve()
                                 })
                                 break
                         }
-                        try {
-                            hookArgs = await p
-                        } catch (err) {
-                            this.log(`An error occurred while preparing arguments for hook '${hookName}' on component '${component.name}': ${err}`)
-                            hookArgs = []
+                        let timer = null
+                        if (options.timeout > 0) {
+                            promise = Promise.race([
+                                promise,
+                                new Promise((resolve, reject) => {
+                                    timer = setTimeout(() => {
+                                        timedOut.push(component.name)
+                                        this.log(`Timed out waiting for .${hookName} on component '${component.name}'.`, 'error')
+                                        reject(new Error(`Timed out after ${options.timeout}ms waiting for .${hookName} on component '${component.name}'.`))
+                                    }, options.timeout)
+                                })
+                            ])
                         }
-                    }
 
-                    switch(component.module[hookName].constructor.name) {
-                        case 'AsyncFunction':
-                            promise = component.module[hookName](...hookArgs)
-                            break
-                        case 'Function':
-                            promise = new Promise(resolve => {
-                                component.module[hookName](...hookArgs)
-                                resolve()
-                            })
-                            break
+                        let self = this
+                        promises.push(promise.then(() => {
+                            clearTimeout(timer)
+                            endTimer()
+                            span.end()
+                            settled(component)
+                        }, err => {
+                            clearTimeout(timer)
+                            endTimer()
+                            span.recordException(err)
+                            span.end()
+                            hookFailures.inc({ component: component.name, hook: hookName })
+                            self._handleComponentError(hookName, component, err)
+                            failed.add(component.name)
+                            settled(component, err)
+                        }))
+                    } catch (err) {
+                        this._handleComponentError(hookName, component, err)
+                        hookFailures.inc({ component: component.name, hook: hookName })
+                        failed.add(component.name)
+                        settled(component, err)
+                        this.log(`An unhandled exception was thrown when calling .${hookName} on component '${component.name}'`, 'error')
+                        this.log(err, 'error')
                     }
-                    let self = this
-                    promise.catch(err => {
-                        self._handleComponentError(hookName, component, err)
-
-                    })
-                    promises.push(promise)
-                } catch (err) {
-                    this._handleComponentError(hookName, component, err)
-                    this.log(`An unhandled exception was thrown when calling .${hookName} on component '${component.name}'`, 'error')
-                    this.log(err, 'error')
+                } else {
+                    settled(component)
                 }
             }
+            this.log('Waiting for component hooks to finish...')
+            await Promise.allSettled(promises)
         }
-        this.log('Waiting for component hooks to finish...')
-        await Promise.allSettled(promises)
         this.log('Component hooks finished.')
+
+        if (failed.size > 0) {
+            invocationSpan.setStatus('error', `Failed components: ${Array.from(failed).join(', ')}`)
+        }
+        invocationSpan.end()
+
+        return { failed: Array.from(failed), timedOut }
     }
 
     _handleComponentError(key, componentRecord, error) {
@@ -666,17 +1963,36 @@ class Morrigan {
         this._errors[componentRecord.name][key].push(error)
     }
 
-    _buildApiDoc() {
+    /**
+     * Builds the OpenAPI document for the server.
+     * 
+     * @param {object} options Optional settings. Recognizes 'includeServerId' (include the ID of this instance in the description, default: true).
+     * @returns The OpenAPI document.
+     */
+    _buildApiDoc(options) {
+        options = Object.assign({ includeServerId: true }, options)
+
+        let description = `Morrigan management server<br>
+                    Version: ${this.serverInfo.version}`
+        if (options.includeServerId) {
+            description += `<br>
+                    Server ID: ${this.serverInfo.id}`
+        }
+
         let doc = {
             openapi: '3.0.0',
             info: {
                 title: `Morrigan Server API`,
-                description: `Morrigan management server<br>
-                    Version: ${this.serverInfo.version}<br>
-                    Server ID: ${this.serverInfo.id}`,
+                description,
                 version: this.serverInfo.version
             },
-            paths: {}
+            paths: {},
+            'x-morrigan-components': this.components.map(c => ({ name: c.name, route: c.route, state: c.state }))
+        }
+
+        // Paths in the document are relative to the path of the public URL:
+        if (this._publicUrl && this._publicUrl.prefix) {
+            doc.servers = [ { url: this._publicUrl.prefix } ]
         }
         
         /*** Keys to extract from module's .openapi key ***/
@@ -730,6 +2046,10 @@ class Morrigan {
         /*** Include spec exported by modules ***/
         this.components.forEach(component => {
 
+            // The endpoints of stopped components are not mounted, so only their security schemes and requirements are kept
+            // (requirements on the endpoints of other components must still be enforced while the component is stopped):
+            const keys = component.state === 'stopped' ? openapiKeys.filter(key => key.name !== 'tags') : openapiKeys
+
             let openapi = component.module.openapi
 
             if (openapi) {
@@ -745,7 +2065,7 @@ class Morrigan {
 
             openapi.forEach(spec => {
 
-                openapiKeys.forEach(key => {
+                keys.forEach(key => {
                     let source = spec[key.name]
                     if (!source) {
                         this.log(`Did not find key '${key.name}' on .openapi declaration from '${component.name}'.`, 'debug')
@@ -821,7 +2141,8 @@ class Morrigan {
 
                 route.stack.forEach(layer => {
 
-                    let fullPath = basePath + route.path
+                    // Express path parameters (':name') are expressed as templates ('{name}') in OpenAPI:
+                    let fullPath = (basePath + route.path).replace(/:([A-Za-z0-9_]+)/g, '{$1}')
 
                     log(`Looking for .openapi declarations @ '${fullPath}...`, 'debug')
 
@@ -0,0 +1,299 @@
+const { DateTime } = require('luxon')
+
+/**
+ * Default lease settings.
+ *
+ * - leaseTTL: Number of milliseconds that a lease is valid for unless it is renewed.
+ * - leaseRenewInterval: Number of milliseconds between renewals of held leases (and attempts to claim leadership).
+ */
+const defaults = {
+    leaseTTL: 30000,
+    leaseRenewInterval: 10000
+}
+
+/**
+ * Name of the lease used to elect a leader among the cluster instances.
+ */
+const leaderLeaseName = 'morrigan.leader'
+
+/**
+ * Error code returned by MongoDB when an insert violates a unique index.
+ */
+const duplicateKeyErrorCode = 11000
+
+/**
+ * Class used to manage leases in the 'morrigan.leases' collection.
+ *
+ * A lease is a record with a 'holder' (the ID of the holding instance), an 'expiresAt' time and a 'token'. The lease
+ * can be claimed by any instance once it has expired, and must be renewed by the holder before that. The token is
+ * incremented every time the lease changes hands, and can be used as a fencing token to reject work from a previous
+ * holder whose lease has expired.
+ *
+ * Expired lease records are deliberately not removed (e.g. using a TTL index), since that would reset their tokens.
+ *
+ * The manager also uses the 'morrigan.leader' lease to elect a leader among the cluster instances.
+ */
+class LeaseManager {
+
+    _collection = null
+    _holderId = null
+    _settings = null
+    _leadership = null
+    _electionInterval = null
+    _listeners = []
+    _indexPromise = null
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {object} collection The 'morrigan.leases' collection.
+     * @param {string} holderId ID of this instance.
+     * @param {object} settings Cluster settings (see 'defaults').
+     * @param {function} log Logging function.
+     */
+    constructor(collection, holderId, settings, log) {
+        this._collection = collection
+        this._holderId = holderId
+        this._settings = Object.assign({}, defaults, settings || {})
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Starts taking part in leader elections.
+     */
+    async start() {
+        await this._elect()
+        this._electionInterval = setInterval(() => this._elect(), this._settings.leaseRenewInterval)
+    }
+
+    /**
+     * Stops taking part in leader elections and releases leadership if this instance holds it.
+     */
+    async stop() {
+        clearInterval(this._electionInterval)
+        this._electionInterval = null
+
+        if (this._leadership) {
+            let lease = this._leadership
+            this._setLeadership(null)
+            await this.release(lease).catch(err => {
+                this.log(`Failed to release leadership: ${err}`, 'error')
+            })
+            this.log('Released cluster leadership.')
+        }
+
+        this._listeners = []
+    }
+
+    /**
+     * Attempts to acquire (or renew) the named lease for this instance.
+     *
+     * @param {string} name Name of the lease.
+     * @param {number} ttl Optional number of milliseconds the lease should be valid for.
+     * @returns The lease record if it was acquired, otherwise null.
+     */
+    async acquire(name, ttl) {
+        await this._ensureIndex()
+
+        const now = DateTime.now()
+        const expiresAt = now.plus({ milliseconds: ttl || this._settings.leaseTTL }).toJSDate()
+
+        // Renew if we already hold the lease:
+        let lease = await this._collection.findOneAndUpdate(
+            { name, holder: this._holderId, expiresAt: { $gt: now.toJSDate() } },
+            { $set: { expiresAt } },
+            { returnDocument: 'after', includeResultMetadata: false }
+        )
+
+        if (lease) {
+            return lease
+        }
+
+        // Claim the lease if it has expired:
+        lease = await this._collection.findOneAndUpdate(
+            { name, expiresAt: { $lte: now.toJSDate() } },
+            { $set: { holder: this._holderId, expiresAt, acquiredAt: now.toJSDate() }, $inc: { token: 1 } },
+            { returnDocument: 'after', includeResultMetadata: false }
+        )
+
+        if (lease) {
+            return lease
+        }
+
+        // Create the lease if it does not exist:
+        lease = { name, holder: this._holderId, token: 1, expiresAt, acquiredAt: now.toJSDate() }
+        try {
+            await this._collection.insertOne(lease)
+            return lease
+        } catch (err) {
+            if (err.code === duplicateKeyErrorCode) {
+                // Someone else holds the lease.
+                return null
+            }
+            throw err
+        }
+    }
+
+    /**
+     * Releases the given lease, allowing other instances to claim it immediately.
+     *
+     * @param {object} lease Lease record returned by 'acquire'.
+     */
+    async release(lease) {
+        await this._collection.updateOne(
+            { name: lease.name, holder: this._holderId, token: lease.token },
+            { $set: { expiresAt: new Date(0) } }
+        )
+    }
+
+    /**
+     * Runs the given function while holding the named lease. The lease is renewed while the function is running,
+     * and released once it finishes.
+     *
+     * If the lease is held by another instance the function is not called.
+     *
+     * @param {string} name Name of the lease.
+     * @param {function} fn Function to call while holding the lease. Will be passed the lease record (including the fencing token).
+     * @returns An object with the key 'acquired' indicating if the lease was acquired, and 'result' containing the value returned by fn.
+     */
+    async withLease(name, fn) {
+        let lease = await this.acquire(name)
+
+        if (!lease) {
+            return { acquired: false }
+        }
+
+        let renewInterval = setInterval(async () => {
+            try {
+                let renewed = await this.acquire(name)
+                if (!renewed || renewed.token !== lease.token) {
+                    this.log(`Lost lease '${name}' while it was in use (token ${lease.token}).`, 'warn')
+                }
+            } catch (err) {
+                this.log(`Failed to renew lease '${name}': ${err}`, 'error')
+            }
+        }, this._settings.leaseRenewInterval)
+
+        try {
+            let result = await fn(lease)
+            return { acquired: true, token: lease.token, result }
+        } finally {
+            clearInterval(renewInterval)
+            await this.release(lease).catch(err => {
+                this.log(`Failed to release lease '${name}': ${err}`, 'error')
+            })
+        }
+    }
+
+    /**
+     * Checks whether this instance is the current cluster leader.
+     *
+     * @returns True if this instance holds an unexpired leader lease.
+     */
+    isLeader() {
+        return this._leadership !== null && this._leadership.expiresAt > new Date()
+    }
+
+    /**
+     * Returns the fencing token of the current leadership, or null if this instance is not the leader.
+     */
+    getLeadershipToken() {
+        return this.isLeader() ? this._leadership.token : null
+    }
+
+    /**
+     * Registers a function to call when this instance gains or loses leadership.
+     *
+     * The function will be called with a boolean indicating whether this instance is now the leader, and the fencing token of the leadership.
+     *
+     * @param {function} listener Function to call.
+     * @param {string} owner Optional name of the component that registered the listener.
+     */
+    onLeadershipChange(listener, owner) {
+        if (typeof listener !== 'function') {
+            throw `Invalid leadership change listener provided (expected a function, found '${typeof listener}')`
+        }
+        this._listeners.push({ listener, owner })
+    }
+
+    /**
+     * Removes all leadership listeners registered by the given component.
+     *
+     * @param {string} owner Name of the component.
+     */
+    removeListeners(owner) {
+        this._listeners = this._listeners.filter(l => l.owner !== owner)
+    }
+
+    async _ensureIndex() {
+        if (!this._indexPromise) {
+            // Lease names must be unique, so that only one instance can create a given lease:
+            this._indexPromise = this._collection.createIndex({ name: 1 }, { unique: true }).catch(err => {
+                this._indexPromise = null
+                throw err
+            })
+        }
+        await this._indexPromise
+    }
+
+    async _elect() {
+        let lease = null
+        try {
+            lease = await this.acquire(leaderLeaseName)
+        } catch (err) {
+            this.log(`Failed to take part in leader election: ${err}`, 'error')
+            // Keep any current leadership until it expires.
+            lease = this.isLeader() ? this._leadership : null
+        }
+
+        this._setLeadership(lease)
+    }
+
+    _setLeadership(lease) {
+        let wasLeader = this._leadership !== null
+        let previousToken = wasLeader ? this._leadership.token : null
+        this._leadership = lease
+
+        let isLeader = lease !== null
+        if (isLeader === wasLeader && (!isLeader || lease.token === previousToken)) {
+            return
+        }
+
+        this.log(isLeader ? `This instance is now the cluster leader (token ${lease.token}).` : 'This instance is no longer the cluster leader.')
+
+        this._listeners.forEach(l => {
+            try {
+                l.listener(isLeader, isLeader ? lease.token : null)
+            } catch (err) {
+                this.log(`Leadership change listener${l.owner ? ` registered by '${l.owner}'` : ''} threw an exception: ${err}`, 'error')
+            }
+        })
+    }
+
+    /**
+     * Builds the cluster API object passed to a component through its environment.
+     *
+     * Lease names are prefixed with the component name to avoid collisions between components.
+     *
+     * @param {string} componentName Name of the component.
+     * @returns An object with 'isLeader', 'onLeadershipChange' and 'withLease' methods.
+     */
+    getScope(componentName) {
+        return {
+            isLeader: () => this.isLeader(),
+            getLeadershipToken: () => this.getLeadershipToken(),
+            onLeadershipChange: (listener) => this.onLeadershipChange(listener, componentName),
+            withLease: (name, fn) => this.withLease(`${componentName}.${name}`, fn)
+        }
+    }
+}
+
+LeaseManager.defaults = defaults
+LeaseManager.LEADER_LEASE_NAME = leaderLeaseName
+
+module.exports = LeaseManager
@@ -0,0 +1,202 @@
+const fs = require('fs')
+
+/**
+ * Keys in the 'http' settings that only apply to a single listener. Listeners defined in 'http.listeners' inherit all
+ * other keys (e.g. 'hostname' and the certificate settings) from the 'http' settings.
+ */
+const listenerKeys = [ 'port', 'address', 'socketPath', 'socketMode', 'secure', 'redirect', 'preferred' ]
+
+/**
+ * Port used when no port is specified.
+ */
+const defaultPort = 3000
+
+/**
+ * Builds the listener definitions from the 'http' settings.
+ *
+ * If 'http.listeners' is not specified, the 'http' settings define a single listener.
+ *
+ * @param {object} httpSettings The 'http' section of the server settings.
+ * @returns Array of listener definitions, each with the keys of the 'http' settings that apply to it.
+ * @throws A general exception if none of the listeners serves requests (i.e. all of them are redirect-only).
+ */
+function getListeners(httpSettings) {
+    httpSettings = httpSettings || {}
+
+    let listeners = null
+    if (Array.isArray(httpSettings.listeners) && httpSettings.listeners.length > 0) {
+        let shared = {}
+        Object.keys(httpSettings).filter(k => k !== 'listeners' && !listenerKeys.includes(k)).forEach(k => shared[k] = httpSettings[k])
+        listeners = httpSettings.listeners.map(definition => Object.assign({}, shared, definition))
+    } else {
+        listeners = [ Object.assign({}, httpSettings) ]
+        delete listeners[0].listeners
+    }
+
+    listeners.forEach(listener => {
+        if (listener.port === undefined && listener.socketPath === undefined) {
+            listener.port = defaultPort
+        }
+    })
+
+    if (listeners.every(listener => listener.redirect === true)) {
+        throw 'At least one listener must serve requests (all listeners are redirect-only).'
+    }
+
+    return listeners
+}
+
+/**
+ * Returns the listener whose URL is reported as the server's base URL: the serving listener marked as 'preferred', or
+ * otherwise the first secure serving listener, or the first serving listener.
+ *
+ * @param {Array} listeners Listener definitions (see 'getListeners').
+ * @returns The preferred listener definition.
+ */
+function getPreferred(listeners) {
+    let serving = listeners.filter(listener => listener.redirect !== true)
+    return serving.find(listener => listener.preferred === true) || serving.find(listener => listener.secure === true) || serving[0]
+}
+
+/**
+ * Returns a description of a listener for log messages, e.g. 'HTTPS on port 443'.
+ *
+ * @param {object} listener Listener definition.
+ */
+function describe(listener) {
+    let protocol = listener.secure === true ? 'HTTPS' : 'HTTP'
+    let address = listener.address ? ` (${listener.address})` : ''
+    let location = listener.socketPath ? `socket '${listener.socketPath}'` : `port ${listener.port}${address}`
+    return `${protocol}${listener.redirect === true ? ' (redirect-only)' : ''} on ${location}`
+}
+
+/**
+ * Returns a key identifying where a listener listens (its socket path, or its address and port), used to match listener
+ * definitions to the running listeners.
+ *
+ * @param {object} listener Listener definition.
+ */
+function getKey(listener) {
+    return listener.socketPath ? `socket:${listener.socketPath}` : `${listener.address || '*'}:${listener.port}`
+}
+
+/**
+ * Starts listening for connections as specified by a listener definition.
+ *
+ * Listeners with a 'socketPath' listen on a Unix domain socket. Sockets left behind by a previous process are removed
+ * first, and the permissions of the socket are set to 'socketMode' (if specified) so that e.g. a reverse proxy running
+ * as another user can connect.
+ *
+ * @param {object} server The HTTP(S) server of the listener.
+ * @param {object} listener Listener definition.
+ * @returns A promise that resolves once the server is listening, or is rejected if it failed to listen.
+ */
+function listen(server, listener) {
+    return new Promise((resolve, reject) => {
+        let options = { port: listener.port, host: listener.address }
+
+        if (listener.socketPath) {
+            options = { path: listener.socketPath }
+            try {
+                if (fs.lstatSync(listener.socketPath).isSocket()) {
+                    fs.unlinkSync(listener.socketPath)
+                }
+            } catch (e) {
+                // Nothing to remove.
+            }
+        }
+
+        server.once('error', reject)
+        server.listen(options, () => {
+            server.removeListener('error', reject)
+            if (listener.socketPath && listener.socketMode) {
+                try {
+                    fs.chmodSync(listener.socketPath, parseInt(listener.socketMode, 8))
+                } catch (e) {
+                    server.close()
+                    reject(e)
+                    return
+                }
+            }
+            resolve()
+        })
+    })
+}
+
+/**
+ * Parses the public URL of the server ('http.publicUrl').
+ *
+ * @param {string} publicUrl The URL that clients use to reach the server (e.g. 'https://example.com/morrigan/').
+ * @returns An object with the 'baseUrl' (the URL without a trailing slash) and the path 'prefix' that the server's
+ *  routes are mounted under ('' if the URL has no path), or null if no URL was given.
+ */
+function parsePublicUrl(publicUrl) {
+    if (!publicUrl) {
+        return null
+    }
+
+    let url = new URL(publicUrl)
+    let prefix = url.pathname.replace(/\/+$/, '')
+    return { baseUrl: `${url.origin}${prefix}`, prefix }
+}
+
+/**
+ * Creates middleware that removes the given path prefix from the URL of requests, so that the routes of the server
+ * can be reached under the prefix. Requests without the prefix are passed on unchanged (e.g. health probes that do
+ * not go through the reverse proxy).
+ *
+ * The full URL remains available as 'req.originalUrl'.
+ *
+ * @param {string} prefix Path prefix, e.g. '/morrigan'.
+ * @returns Express middleware.
+ */
+function prefixMiddleware(prefix) {
+    return (req, res, next) => {
+        if (req.url === prefix || req.url.startsWith(`${prefix}/`) || req.url.startsWith(`${prefix}?`)) {
+            req.url = req.url.slice(prefix.length)
+            if (!req.url.startsWith('/')) {
+                req.url = `/${req.url}`
+            }
+        }
+        next()
+    }
+}
+
+/**
+ * Creates a request handler for redirect-only listeners, redirecting requests to the same path on the server's base URL.
+ *
+ * GET and HEAD requests are redirected with 301, other requests with 308 (so that the method and body are kept).
+ *
+ * @param {function} getBaseUrl Function returning the server's base URL (or undefined before the server has started).
+ * @returns Request handler function for http(s).createServer.
+ */
+function redirectHandler(getBaseUrl) {
+    return (req, res) => {
+        let baseUrl = getBaseUrl()
+        if (!baseUrl) {
+            res.writeHead(503, { 'Connection': 'close' })
+            res.end()
+            return
+        }
+
+        // Keep the path prefix of the base URL, unless the request already includes it:
+        let url = new URL(baseUrl)
+        let prefix = url.pathname.replace(/\/+$/, '')
+        let path = (prefix && !(req.url === prefix || req.url.startsWith(`${prefix}/`))) ? `${prefix}${req.url}` : req.url
+
+        res.writeHead([ 'GET', 'HEAD' ].includes(req.method) ? 301 : 308, { 'Location': url.origin + path })
+        res.end()
+    }
+}
+
+module.exports = {
+    listenerKeys,
+    getListeners,
+    getPreferred,
+    describe,
+    getKey,
+    listen,
+    parsePublicUrl,
+    prefixMiddleware,
+    redirectHandler
+}
@@ -0,0 +1,118 @@
+/**
+ * Default settings for log level overrides (keys in the 'logger' settings).
+ *
+ * - levelTimeout: Number of milliseconds after which a log level set with 'setLogLevel' reverts, unless a timeout is
+ *   specified in the call (0 to keep it until it is changed).
+ * - levelSyncInterval: Number of milliseconds between checks for overrides set by other instances.
+ */
+const defaults = {
+    levelTimeout: 3600000,
+    levelSyncInterval: 5000
+}
+
+/**
+ * Class used to share log level overrides between the instances in the cluster through the 'morrigan.logLevels' collection.
+ *
+ * Each record holds the override for one component ('component' is null for the default level), with the 'level',
+ * the time it 'expires' (or null), and the 'setTime' and 'setBy' (instance ID) of the change. Instances apply the
+ * records to their logger when they sync, and remove overrides whose record has been removed. Overrides set locally
+ * (without propagating them) are kept unless a record is set after them.
+ */
+class LogLevelSync {
+
+    _collection = null
+    _serverId = null
+    _logger = null
+    _interval = null
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {object} collection The 'morrigan.logLevels' collection.
+     * @param {string} serverId ID of this instance.
+     * @param {object} logger The Logger instance to apply the overrides to.
+     * @param {function} log Logging function.
+     */
+    constructor(collection, serverId, logger, log) {
+        this._collection = collection
+        this._serverId = serverId
+        this._logger = logger
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Records an override for all instances and applies it to this instance.
+     *
+     * @param {string} level The level to use, or null to remove the override.
+     * @param {string} componentName Name of the component, or undefined for the default level.
+     * @param {Date} expires When the override expires, or null.
+     */
+    async set(level, componentName, expires) {
+        let selector = { component: componentName || null }
+        let setTime = new Date()
+
+        if (level) {
+            await this._collection.replaceOne(selector, { component: componentName || null, level, expires, setTime, setBy: this._serverId }, { upsert: true })
+            this._logger.setLevel(level, componentName, { expires, origin: 'cluster', setTime })
+        } else {
+            await this._collection.deleteOne(selector)
+            this._logger.setLevel(null, componentName)
+        }
+    }
+
+    /**
+     * Applies the overrides recorded by other instances, and removes overrides whose record has been removed or expired.
+     */
+    async sync() {
+        let now = new Date()
+        let records = (await this._collection.find({}).toArray()).filter(r => !r.expires || r.expires > now)
+        let current = this._logger.getLevels().overrides
+
+        records.forEach(record => {
+            let override = current.find(o => o.component === record.component)
+            if (override && override.setTime >= record.setTime) {
+                return
+            }
+
+            this.log(`Applying log level '${record.level}' for ${record.component ? `component '${record.component}'` : 'the server'} (set by instance '${record.setBy}').`)
+            this._logger.setLevel(record.level, record.component || undefined, { expires: record.expires, origin: 'cluster', setTime: record.setTime })
+        })
+
+        current.filter(o => o.origin === 'cluster' && !records.find(r => r.component === o.component)).forEach(override => {
+            this.log(`Log level override for ${override.component ? `component '${override.component}'` : 'the server'} was removed.`)
+            this._logger.setLevel(null, override.component || undefined)
+        })
+
+        await this._collection.deleteMany({ expires: { $ne: null, $lte: now } })
+    }
+
+    /**
+     * Syncs the overrides now and then at the given interval.
+     *
+     * @param {number} interval Number of milliseconds between syncs.
+     */
+    async start(interval) {
+        await this.sync().catch(err => this.log(`Failed to read log level overrides: ${err}`, 'warn'))
+
+        this._interval = setInterval(() => {
+            this.sync().catch(err => this.log(`Failed to read log level overrides: ${err}`, 'warn'))
+        }, interval)
+    }
+
+    /**
+     * Stops syncing overrides.
+     */
+    stop() {
+        clearInterval(this._interval)
+        this._interval = null
+    }
+}
+
+LogLevelSync.defaults = defaults
+
+module.exports = LogLevelSync
@@ -0,0 +1,427 @@
+const winston = require('winston')
+const { requireAuthentication, requireAdmin } = require(`${__dirname}/server.access`)
+
+/**
+ * Default and maximum number of entries returned by '/api/logs'.
+ */
+const defaultLimit = 100
+const maxLimit = 1000
+
+/**
+ * Number of milliseconds between checks for new entries when tailing the log.
+ */
+const tailInterval = 1000
+
+/**
+ * Severity of each logging level (lower is more severe).
+ */
+const severities = winston.config.npm.levels
+
+const entrySchema = {
+    type: 'object',
+    properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        level: { type: 'string', enum: Object.keys(severities) },
+        message: { type: 'string' },
+        serverId: { type: 'string', description: "ID of the instance that logged the entry." },
+        hostname: { type: 'string' },
+        component: { type: 'string', description: "Name of the component that logged the entry." },
+        requestId: { type: 'string', description: "ID of the request being handled when the entry was logged." },
+        http: { type: 'object', description: "Details of the request, for entries logged when a request finishes." }
+    }
+}
+
+const filterParameters = [
+    { name: 'instance', in: 'query', required: false, schema: { type: 'string' }, description: "Only include entries logged by the instance with this ID." },
+    { name: 'component', in: 'query', required: false, schema: { type: 'string' }, description: "Only include entries logged by this component." },
+    { name: 'level', in: 'query', required: false, schema: { type: 'string', enum: Object.keys(severities) }, description: "Only include entries at this level or more severe." },
+    { name: 'q', in: 'query', required: false, schema: { type: 'string' }, description: "Only include entries whose message contains this text (case-insensitive)." }
+]
+
+const levelsSchema = {
+    type: 'object',
+    properties: {
+        level: { type: 'string', description: "Level used for entries that are not logged by a component with a level of its own." },
+        components: { type: 'object', additionalProperties: { type: 'string' }, description: "Levels of the components with a level of their own, by component name." },
+        overrides: {
+            type: 'array',
+            description: "Levels changed at runtime, that override the settings.",
+            items: {
+                type: 'object',
+                properties: {
+                    component: { type: 'string', nullable: true, description: "Name of the component, or null for the default level." },
+                    level: { type: 'string' },
+                    expires: { type: 'string', format: 'date-time', nullable: true, description: "When the level reverts to the one in the settings." },
+                    origin: { type: 'string', enum: [ 'local', 'cluster' ], description: "Whether the level was set for this instance only or for the cluster." },
+                    setTime: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Builds the MongoDB query for the filters in the given query parameters.
+ *
+ * @param {object} params Query parameters ('instance', 'component', 'level', 'q', 'from' and 'to').
+ * @returns The query object.
+ * @throws A general exception if any of the parameters are invalid.
+ */
+function buildFilter(params) {
+    let filter = {}
+
+    if (params.instance) {
+        filter.serverId = `${params.instance}`
+    }
+
+    if (params.component) {
+        filter.component = `${params.component}`
+    }
+
+    if (params.level) {
+        if (severities[params.level] === undefined) {
+            throw new Error(`Unknown level '${params.level}' (expected one of: ${Object.keys(severities).join(', ')}).`)
+        }
+        filter.level = { $in: Object.keys(severities).filter(l => severities[l] <= severities[params.level]) }
+    }
+
+    if (params.q) {
+        filter.message = { $regex: `${params.q}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+    }
+
+    let timestamp = {}
+    Object.entries({ from: '$gte', to: '$lt' }).forEach(([ param, op ]) => {
+        if (!params[param]) {
+            return
+        }
+        let date = new Date(params[param])
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid '${param}' time: '${params[param]}' (expected an ISO 8601 date-time).`)
+        }
+        timestamp[op] = date
+    })
+    if (Object.keys(timestamp).length > 0) {
+        filter.timestamp = timestamp
+    }
+
+    return filter
+}
+
+/**
+ * Encodes the position after the last entry of a page as a cursor.
+ *
+ * Entries are returned newest first, sorted by timestamp and then by ID. The cursor records the timestamp of the last
+ * entry and the number of entries with that timestamp that have already been returned.
+ *
+ * @param {Array} entries Entries of the page (as stored).
+ * @param {object} previous The decoded cursor used to fetch the page, if any.
+ * @returns The cursor string.
+ */
+function encodeCursor(entries, previous) {
+    let last = entries[entries.length - 1].timestamp
+    let skip = entries.filter(e => e.timestamp.getTime() === last.getTime()).length
+    if (previous && previous.timestamp.getTime() === last.getTime()) {
+        skip += previous.skip
+    }
+    return Buffer.from(JSON.stringify({ t: last.toISOString(), s: skip })).toString('base64url')
+}
+
+/**
+ * Decodes a cursor created by 'encodeCursor'.
+ *
+ * @param {string} cursor The cursor string.
+ * @returns An object with 'timestamp' and 'skip'.
+ * @throws A general exception if the cursor is invalid.
+ */
+function decodeCursor(cursor) {
+    try {
+        let decoded = JSON.parse(Buffer.from(`${cursor}`, 'base64url').toString())
+        let timestamp = new Date(decoded.t)
+        if (isNaN(timestamp.getTime()) || !Number.isInteger(decoded.s) || decoded.s < 0) {
+            throw new Error()
+        }
+        return { timestamp, skip: decoded.s }
+    } catch (e) {
+        throw new Error(`Invalid cursor: '${cursor}'.`)
+    }
+}
+
+/**
+ * Converts a stored entry to the representation returned by the API.
+ *
+ * @param {object} entry Entry from the log collection.
+ * @returns The entry without its database ID.
+ */
+function toEntry(entry) {
+    let result = Object.assign({}, entry)
+    delete result._id
+    return result
+}
+
+/**
+ * Registers the '/api/logs' endpoints on the given application.
+ *
+ * The entries are read from the collection written to by the 'mongo' log transport, so they include the entries of
+ * all instances in the cluster that log to the same database. The '/api/logs/levels' endpoints report and change the
+ * log levels of the instance.
+ *
+ * @param {object} app Express application to register the endpoints on.
+ * @param {object} morrigan Morrigan server instance.
+ */
+function setup(app, morrigan) {
+
+    let queryHandler = async (req, res) => {
+        let collection = morrigan.logger.getSinkCollection()
+
+        if (!collection) {
+            res.status(404)
+            res.end()
+            return
+        }
+
+        let filter = null
+        let cursor = null
+        let limit = defaultLimit
+        try {
+            filter = buildFilter(req.query)
+
+            if (req.query.cursor) {
+                cursor = decodeCursor(req.query.cursor)
+                filter.timestamp = Object.assign({}, filter.timestamp, { $lte: cursor.timestamp })
+            }
+
+            if (req.query.limit !== undefined) {
+                limit = Number(req.query.limit)
+                if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+                    throw new Error(`Invalid limit: '${req.query.limit}' (expected an integer between 1 and ${maxLimit}).`)
+                }
+            }
+        } catch (err) {
+            res.setHeader('Content-Type', 'application/json')
+            res.status(400)
+            res.end(JSON.stringify({ reason: err.message }))
+            return
+        }
+
+        try {
+            let entries = await collection.find(filter)
+                .sort({ timestamp: -1, _id: -1 })
+                .skip(cursor ? cursor.skip : 0)
+                .limit(limit + 1)
+                .toArray()
+
+            let more = entries.length > limit
+            entries = entries.slice(0, limit)
+
+            res.setHeader('Content-Type', 'application/json')
+            res.status(200)
+            res.end(JSON.stringify({
+                entries: entries.map(toEntry),
+                next: more ? encodeCursor(entries, cursor) : null
+            }))
+        } catch (err) {
+            morrigan.log(`Failed to query the log: ${err}`, 'error')
+            res.status(500)
+            res.end()
+        }
+    }
+
+    queryHandler.openapi = {
+        get: {
+            tags: [ 'logs' ],
+            description: "Lists log entries from all instances, newest first. Requires an authenticated caller and a 'mongo' log transport.",
+            parameters: filterParameters.concat([
+                { name: 'from', in: 'query', required: false, schema: { type: 'string', format: 'date-time' }, description: "Only include entries logged at or after this time." },
+                { name: 'to', in: 'query', required: false, schema: { type: 'string', format: 'date-time' }, description: "Only include entries logged before this time." },
+                { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit } },
+                { name: 'cursor', in: 'query', required: false, schema: { type: 'string' }, description: "The 'next' value of the previous page." }
+            ]),
+            responses: {
+                200: {
+                    description: "A page of log entries.",
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    entries: { type: 'array', items: entrySchema },
+                                    next: { type: 'string', nullable: true, description: "Cursor for the next page, or null if this is the last page." }
+                                }
+                            }
+                        }
+                    }
+                },
+                400: {
+                    description: "Invalid filter, limit or cursor.",
+                    content: {
+                        'application/json': {
+                            schema: { type: 'object', properties: { reason: { type: 'string' } } }
+                        }
+                    }
+                },
+                403: { description: "The caller is not authenticated." },
+                404: { description: "No 'mongo' log transport is configured." },
+                500: { description: "The log could not be queried." }
+            }
+        }
+    }
+
+    /**
+     * Streams new entries matching the filters in the query string to the client as JSON messages, until the
+     * connection is closed.
+     */
+    let tailHandler = (ws, req) => {
+        if (!req.authenticated) {
+            ws.close(1008, 'Not authenticated')
+            return
+        }
+
+        let filter = null
+        try {
+            filter = buildFilter(Object.assign({}, req.query, { from: undefined, to: undefined }))
+        } catch (err) {
+            ws.close(1008, err.message)
+            return
+        }
+
+        // Entries are sent in order of their timestamp. IDs of the entries sent with the latest timestamp are kept
+        // to avoid sending them again, since entries from other instances may arrive with the same timestamp later:
+        let since = new Date()
+        let sent = new Set()
+        let timer = null
+        let closed = false
+
+        const poll = async () => {
+            let collection = morrigan.logger.getSinkCollection()
+
+            try {
+                if (collection) {
+                    let query = Object.assign({}, filter, { timestamp: { $gte: since } })
+                    let entries = await collection.find(query).sort({ timestamp: 1, _id: 1 }).limit(maxLimit).toArray()
+
+                    for (const entry of entries) {
+                        let id = `${entry._id}`
+                        if (entry.timestamp.getTime() === since.getTime() && sent.has(id)) {
+                            continue
+                        }
+                        if (closed) {
+                            return
+                        }
+                        if (entry.timestamp.getTime() !== since.getTime()) {
+                            since = entry.timestamp
+                            sent = new Set()
+                        }
+                        sent.add(id)
+                        ws.send(JSON.stringify(toEntry(entry)))
+                    }
+                }
+            } catch (err) {
+                morrigan.log(`Failed to read new log entries for a tailing client: ${err}`, 'warn')
+            }
+
+            if (!closed) {
+                timer = setTimeout(poll, tailInterval)
+            }
+        }
+
+        ws.on('close', () => {
+            closed = true
+            clearTimeout(timer)
+        })
+
+        poll()
+    }
+
+    let levelsHandler = (req, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.status(200)
+        res.end(JSON.stringify(morrigan.logger.getLevels()))
+    }
+
+    levelsHandler.openapi = {
+        get: {
+            tags: [ 'logs' ],
+            description: "Lists the log levels in use on this instance.",
+            responses: {
+                200: {
+                    description: "The log levels.",
+                    content: {
+                        'application/json': {
+                            schema: levelsSchema
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    let setLevelHandler = async (req, res) => {
+        let body = req.body || {}
+
+        try {
+            let levels = await morrigan.setLogLevel(body.level === undefined ? null : body.level, body.component || undefined, { propagate: body.propagate === true, timeout: body.timeout })
+            res.setHeader('Content-Type', 'application/json')
+            res.status(200)
+            res.end(JSON.stringify(levels))
+        } catch (err) {
+            res.setHeader('Content-Type', 'application/json')
+            res.status(400)
+            res.end(JSON.stringify({ reason: `${err}` }))
+        }
+    }
+
+    setLevelHandler.openapi = {
+        put: {
+            tags: [ 'logs' ],
+            description: "Changes the log level of the server or of a component (see 'setLogLevel'). Requires an administrator.",
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                level: { type: 'string', nullable: true, enum: Object.keys(severities).concat([ null ]), description: "The level to use, or null to revert to the level in the settings." },
+                                component: { type: 'string', description: "Name of the component to change the level for (default: the server's default level)." },
+                                propagate: { type: 'boolean', default: false, description: "Change the level on all instances in the cluster." },
+                                timeout: { type: 'integer', minimum: 0, description: "Number of milliseconds until the level reverts (0 to keep it until it is changed, default: 'logger.levelTimeout')." }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                200: {
+                    description: "The level has been changed, the response contains the resulting levels.",
+                    content: {
+                        'application/json': {
+                            schema: levelsSchema
+                        }
+                    }
+                },
+                400: {
+                    description: "Unknown level or component.",
+                    content: {
+                        'application/json': {
+                            schema: { type: 'object', properties: { reason: { type: 'string' } } }
+                        }
+                    }
+                },
+                401: { description: "The caller is not authenticated." },
+                403: { description: "The caller is not an administrator." }
+            }
+        }
+    }
+
+    app.get('/api/logs', requireAuthentication, queryHandler)
+    app.get('/api/logs/levels', levelsHandler)
+    app.put('/api/logs/levels', requireAdmin, setLevelHandler)
+    app.ws('/api/logs/tail', tailHandler)
+}
+
+module.exports = {
+    buildFilter,
+    encodeCursor,
+    decodeCursor,
+    setup
+}
@@ -0,0 +1,404 @@
+const namespaceFormat = /^[a-z0-9\-_]+$/i
+
+/**
+ * In-memory stand-ins for the DataStore (morrigan.utils.datastore) and StateStore (morrigan.utils.statestore) APIs.
+ *
+ * These are used to set up the server without a database or state directory (e.g. to generate the OpenAPI document
+ * at build time). Nothing is persisted, and the collections only support the basic MongoDB operations and query
+ * operators that components typically use during setup.
+ */
+
+function isPlainObject(value) {
+    let prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Deep-copies a document. Dates are copied, plain objects and arrays are copied recursively, and other objects (e.g.
+ * ObjectId and Buffer values) are treated as immutable values and kept as they are (so they keep their class).
+ */
+function clone(value) {
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+
+    if (value instanceof Date) {
+        return new Date(value.getTime())
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(clone)
+    }
+
+    if (!isPlainObject(value)) {
+        return value
+    }
+
+    let copy = {}
+    Object.keys(value).forEach(k => copy[k] = clone(value[k]))
+    return copy
+}
+
+function getValue(doc, key) {
+    return key.split('.').reduce((o, k) => (o === null || o === undefined) ? undefined : o[k], doc)
+}
+
+function isEqual(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime()
+    }
+    // ObjectId values:
+    if (a !== null && typeof a === 'object' && typeof a.equals === 'function') {
+        return a.equals(b)
+    }
+    return a === b
+}
+
+function matches(doc, query) {
+    return Object.keys(query || {}).every(key => {
+        let condition = query[key]
+
+        switch (key) {
+            case '$and':
+                return condition.every(q => matches(doc, q))
+            case '$or':
+                return condition.some(q => matches(doc, q))
+        }
+
+        let value = getValue(doc, key)
+
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || !isPlainObject(condition)) {
+            return isEqual(value, condition) || (Array.isArray(value) && value.some(v => isEqual(v, condition)))
+        }
+
+        return Object.keys(condition).every(op => {
+            let operand = condition[op]
+            switch (op) {
+                case '$eq': return isEqual(value, operand)
+                case '$ne': return !isEqual(value, operand)
+                case '$gt': return value > operand
+                case '$gte': return value >= operand
+                case '$lt': return value < operand
+                case '$lte': return value <= operand
+                case '$in': return operand.some(o => isEqual(value, o))
+                case '$nin': return !operand.some(o => isEqual(value, o))
+                case '$exists': return (value !== undefined) === operand
+                default:
+                    throw new Error(`Unsupported query operator for in-memory collections: ${op}`)
+            }
+        })
+    })
+}
+
+function applyUpdate(doc, update) {
+    Object.keys(update).forEach(op => {
+        let fields = update[op]
+        Object.keys(fields).forEach(key => {
+            let path = key.split('.')
+            let parent = path.slice(0, -1).reduce((o, k) => {
+                if (o[k] === null || typeof o[k] !== 'object') {
+                    o[k] = {}
+                }
+                return o[k]
+            }, doc)
+            let last = path[path.length - 1]
+
+            switch (op) {
+                case '$set': parent[last] = fields[key]; break
+                case '$unset': delete parent[last]; break
+                case '$inc': parent[last] = (parent[last] || 0) + fields[key]; break
+                case '$push': parent[last] = (parent[last] || []).concat([ fields[key] ]); break
+                default:
+                    throw new Error(`Unsupported update operator for in-memory collections: ${op}`)
+            }
+        })
+    })
+}
+
+/**
+ * Cursor returned by 'find', supporting 'sort', 'skip', 'limit', 'toArray' and async iteration.
+ */
+class MemoryCursor {
+
+    _docs = null
+
+    constructor(docs) {
+        this._docs = docs
+    }
+
+    sort(spec) {
+        let keys = Object.keys(spec || {})
+        this._docs.sort((a, b) => {
+            for (const k of keys) {
+                let va = getValue(a, k)
+                let vb = getValue(b, k)
+                if (va < vb) return -spec[k]
+                if (va > vb) return spec[k]
+            }
+            return 0
+        })
+        return this
+    }
+
+    skip(n) {
+        this._docs = this._docs.slice(n)
+        return this
+    }
+
+    limit(n) {
+        if (n > 0) {
+            this._docs = this._docs.slice(0, n)
+        }
+        return this
+    }
+
+    project() {
+        return this
+    }
+
+    async toArray() {
+        return this._docs.map(d => clone(d))
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (const d of this._docs) {
+            yield clone(d)
+        }
+    }
+}
+
+/**
+ * In-memory collection implementing a subset of the MongoDB collection API.
+ */
+class MemoryCollection {
+
+    collectionName = null
+    _docs = []
+    _uniqueKeys = []
+    _nextId = 1
+
+    constructor(name) {
+        this.collectionName = name
+    }
+
+    _checkUnique(doc, ignore) {
+        this._uniqueKeys.forEach(keys => {
+            let conflict = this._docs.find(d => d !== ignore && keys.every(k => isEqual(getValue(d, k), getValue(doc, k))))
+            if (conflict) {
+                let err = new Error(`E11000 duplicate key error collection: ${this.collectionName}`)
+                err.code = 11000
+                throw err
+            }
+        })
+    }
+
+    async createIndex(spec, options) {
+        if (options && options.unique) {
+            this._uniqueKeys.push(Object.keys(spec))
+        }
+        return Object.keys(spec).map(k => `${k}_${spec[k]}`).join('_')
+    }
+
+    async insertOne(doc) {
+        if (doc._id === undefined) {
+            doc._id = `${this._nextId++}`
+        }
+        let copy = clone(doc)
+        this._checkUnique(copy)
+        this._docs.push(copy)
+        return { acknowledged: true, insertedId: doc._id }
+    }
+
+    async insertMany(docs) {
+        let insertedIds = {}
+        for (let i = 0; i < docs.length; i++) {
+            insertedIds[i] = (await this.insertOne(docs[i])).insertedId
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds }
+    }
+
+    find(query) {
+        return new MemoryCursor(this._docs.filter(d => matches(d, query)))
+    }
+
+    async findOne(query) {
+        let doc = this._docs.find(d => matches(d, query))
+        return doc ? clone(doc) : null
+    }
+
+    async countDocuments(query) {
+        return this._docs.filter(d => matches(d, query)).length
+    }
+
+    async updateOne(query, update, options) {
+        return this._update(query, update, options, false)
+    }
+
+    async updateMany(query, update, options) {
+        return this._update(query, update, options, true)
+    }
+
+    async _update(query, update, options, many) {
+        let docs = this._docs.filter(d => matches(d, query))
+        if (!many) {
+            docs = docs.slice(0, 1)
+        }
+
+        if (docs.length === 0 && options && options.upsert) {
+            let doc = {}
+            Object.keys(query).filter(k => !k.startsWith('$')).forEach(k => doc[k] = query[k])
+            applyUpdate(doc, update)
+            let result = await this.insertOne(doc)
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: result.insertedId }
+        }
+
+        docs.forEach(d => {
+            let updated = clone(d)
+            applyUpdate(updated, update)
+            this._checkUnique(updated, d)
+            Object.keys(d).forEach(k => delete d[k])
+            Object.assign(d, updated)
+        })
+
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 }
+    }
+
+    async replaceOne(query, replacement, options) {
+        let doc = this._docs.find(d => matches(d, query))
+
+        if (!doc) {
+            if (options && options.upsert) {
+                let result = await this.insertOne(replacement)
+                return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: result.insertedId }
+            }
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 }
+        }
+
+        let copy = clone(replacement)
+        copy._id = doc._id
+        this._checkUnique(copy, doc)
+        this._docs[this._docs.indexOf(doc)] = copy
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 }
+    }
+
+    async findOneAndUpdate(query, update, options) {
+        options = options || {}
+        let doc = this._docs.find(d => matches(d, query))
+        let before = doc ? clone(doc) : null
+
+        if (doc) {
+            await this._update({ _id: doc._id }, update, {}, false)
+        } else if (options.upsert) {
+            await this._update(query, update, { upsert: true }, false)
+        }
+
+        let after = doc ? await this.findOne({ _id: doc._id }) : null
+        let value = options.returnDocument === 'after' ? after : before
+
+        return options.includeResultMetadata === false ? value : { value, ok: 1 }
+    }
+
+    async deleteOne(query) {
+        let index = this._docs.findIndex(d => matches(d, query))
+        if (index >= 0) {
+            this._docs.splice(index, 1)
+        }
+        return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 }
+    }
+
+    async deleteMany(query) {
+        let before = this._docs.length
+        this._docs = this._docs.filter(d => !matches(d, query))
+        return { acknowledged: true, deletedCount: before - this._docs.length }
+    }
+}
+
+/**
+ * Creates an in-memory DataStore with the same API as the root DataStore returned by morrigan.utils.datastore.
+ *
+ * @returns The root DataStore object (with 'collection', 'getCollection', 'createCollection', 'getDataStore' and 'discard').
+ */
+function createDataStore() {
+    const collections = {}
+
+    function MemoryDataStore(namespace, scope) {
+        this.getNamespace = () => namespace
+
+        this.getCollection = (name) => {
+            let collectionName = `${namespace}.${name}`
+            if (!collections[collectionName]) {
+                collections[collectionName] = new MemoryCollection(collectionName)
+            }
+            return collections[collectionName]
+        }
+
+        this.collection = this.getCollection
+
+        this.createCollection = async (name) => {
+            if (collections[`${namespace}.${name}`]) {
+                throw new Error(`Collection ${namespace}.${name} already exists`)
+            }
+            return this.getCollection(name)
+        }
+
+        if (scope === 'delegate') {
+            this.getDataStore = async (childNamespace, childScope) => {
+                if (!namespaceFormat.test(childNamespace)) {
+                    throw `Invalid namespace name provided (should only contain characters a-z, 0-9, - and _): ${childNamespace}`
+                }
+                return new MemoryDataStore(`${namespace}.${childNamespace}`, childScope || 'collectionsOnly')
+            }
+        }
+    }
+
+    const root = new MemoryDataStore('global', 'delegate')
+    root.discard = async () => {
+        Object.keys(collections).forEach(k => delete collections[k])
+    }
+
+    return root
+}
+
+/**
+ * Creates an in-memory StateStore with the same API as the root StateStore returned by morrigan.utils.statestore.
+ *
+ * @returns The root StateStore object (with 'get', 'set', 'remove' and 'getStore').
+ */
+function createStateStore() {
+    const stores = {}
+
+    function MemoryStateStore(namespace) {
+        if (!stores[namespace]) {
+            stores[namespace] = {}
+        }
+        const values = stores[namespace]
+
+        this.getNamespace = () => namespace
+
+        this.set = async (name, value) => {
+            values[name] = JSON.stringify(value)
+        }
+
+        this.get = async (name) => {
+            return values[name] === undefined ? null : JSON.parse(values[name])
+        }
+
+        this.remove = async (name) => {
+            delete values[name]
+        }
+
+        this.getStore = async (childNamespace) => {
+            if (!namespaceFormat.test(childNamespace)) {
+                throw `Invalid name namespace provided (should only contain characters a-z, 0-9, - and _): ${childNamespace}`
+            }
+            return new MemoryStateStore(`${namespace}.${childNamespace}`)
+        }
+    }
+
+    return new MemoryStateStore('global')
+}
+
+module.exports = {
+    createDataStore,
+    createStateStore
+}
@@ -0,0 +1,501 @@
+/**
+ * Format of metric names (see: https://prometheus.io/docs/concepts/data_model/#metric-names-and-labels).
+ */
+const metricNameFormat = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/
+
+/**
+ * Format of label names, names starting with '__' are reserved by Prometheus.
+ */
+const labelNameFormat = /^(?!__)[a-zA-Z_][a-zA-Z0-9_]*$/
+
+/**
+ * Default histogram buckets (in seconds, suitable for request and hook durations).
+ */
+const defaultBuckets = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ]
+
+/**
+ * Content type of the Prometheus text exposition format.
+ */
+const contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+function escapeHelp(text) {
+    return `${text}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+function escapeLabelValue(value) {
+    return `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf'
+    if (value === -Infinity) return '-Inf'
+    if (Number.isNaN(value)) return 'NaN'
+    return `${value}`
+}
+
+function formatLabels(labels) {
+    let keys = Object.keys(labels)
+    if (keys.length === 0) {
+        return ''
+    }
+    return `{${keys.map(k => `${k}="${escapeLabelValue(labels[k])}"`).join(',')}}`
+}
+
+/**
+ * Base class for metrics, holding a value (or set of values) for each combination of label values.
+ */
+class Metric {
+
+    name = null
+    help = null
+    type = null
+    labelNames = []
+    owner = null
+
+    _values = new Map()
+
+    constructor(type, name, help, labelNames, owner) {
+        this.type = type
+        this.name = name
+        this.help = help || name
+        this.labelNames = labelNames || []
+        this.owner = owner
+    }
+
+    /**
+     * Returns the key used to store the values for the given labels, checking that exactly the declared labels are provided.
+     */
+    _key(labels) {
+        labels = labels || {}
+        let names = Object.keys(labels)
+        if (names.length !== this.labelNames.length || names.some(n => !this.labelNames.includes(n))) {
+            throw new Error(`Invalid labels for metric '${this.name}': expected ${this.labelNames.length > 0 ? this.labelNames.join(', ') : 'none'}, found ${names.length > 0 ? names.join(', ') : 'none'}.`)
+        }
+        return JSON.stringify(this.labelNames.map(n => `${labels[n]}`))
+    }
+
+    _labels(key) {
+        let values = JSON.parse(key)
+        let labels = {}
+        this.labelNames.forEach((n, i) => labels[n] = values[i])
+        return labels
+    }
+
+    /**
+     * Removes all values.
+     */
+    reset() {
+        this._values = new Map()
+    }
+
+    /**
+     * Returns the sample lines of the metric.
+     */
+    _samples() {
+        let lines = []
+        this._values.forEach((value, key) => lines.push(`${this.name}${formatLabels(this._labels(key))} ${formatValue(value)}`))
+        return lines
+    }
+
+    /**
+     * Returns the metric in the text exposition format.
+     */
+    serialize() {
+        return [ `# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}` ].concat(this._samples()).join('\n')
+    }
+}
+
+/**
+ * Metric whose value only increases (e.g. the number of requests handled).
+ */
+class Counter extends Metric {
+
+    constructor(name, help, labelNames, owner) {
+        super('counter', name, help, labelNames, owner)
+    }
+
+    /**
+     * Increments the counter.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @param {number} value Amount to increment by (default: 1).
+     */
+    inc(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels
+            labels = {}
+        }
+        value = value === undefined ? 1 : value
+        if (value < 0) {
+            throw new Error(`Counter '${this.name}' cannot be decreased.`)
+        }
+        let key = this._key(labels)
+        this._values.set(key, (this._values.get(key) || 0) + value)
+    }
+}
+
+/**
+ * Metric whose value can go up and down (e.g. the number of open connections).
+ *
+ * A gauge can be given a 'collect' function, which is called before the metric is serialized to update its values.
+ */
+class Gauge extends Metric {
+
+    _collect = null
+
+    constructor(name, help, labelNames, owner, collect) {
+        super('gauge', name, help, labelNames, owner)
+        this._collect = typeof collect === 'function' ? collect : null
+    }
+
+    /**
+     * Sets the value of the gauge.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @param {number} value The value.
+     */
+    set(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels
+            labels = {}
+        }
+        this._values.set(this._key(labels), value)
+    }
+
+    /**
+     * Increments the gauge.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @param {number} value Amount to increment by (default: 1).
+     */
+    inc(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels
+            labels = {}
+        }
+        let key = this._key(labels)
+        this._values.set(key, (this._values.get(key) || 0) + (value === undefined ? 1 : value))
+    }
+
+    /**
+     * Decrements the gauge.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @param {number} value Amount to decrement by (default: 1).
+     */
+    dec(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels
+            labels = {}
+        }
+        this.inc(labels, -(value === undefined ? 1 : value))
+    }
+
+    serialize() {
+        if (this._collect) {
+            this._collect(this)
+        }
+        return super.serialize()
+    }
+}
+
+/**
+ * Metric counting observations (e.g. request durations) in configurable buckets.
+ */
+class Histogram extends Metric {
+
+    buckets = defaultBuckets
+
+    constructor(name, help, labelNames, owner, buckets) {
+        super('histogram', name, help, labelNames, owner)
+        if (this.labelNames.includes('le')) {
+            throw new Error(`The label 'le' is reserved for histogram buckets (metric '${name}').`)
+        }
+        if (Array.isArray(buckets) && buckets.length > 0) {
+            this.buckets = buckets.slice().sort((a, b) => a - b)
+        }
+    }
+
+    /**
+     * Records an observation.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @param {number} value The observed value.
+     */
+    observe(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels
+            labels = {}
+        }
+        let key = this._key(labels)
+        let entry = this._values.get(key)
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+            this._values.set(key, entry)
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                entry.counts[i]++
+            }
+        })
+        entry.sum += value
+        entry.count++
+    }
+
+    /**
+     * Starts a timer, returning a function that observes the number of seconds elapsed when called.
+     *
+     * @param {object} labels Label values (may be left out if the metric has no labels).
+     * @returns Function taking optional additional label values.
+     */
+    startTimer(labels) {
+        let start = process.hrtime.bigint()
+        return (moreLabels) => {
+            let seconds = Number(process.hrtime.bigint() - start) / 1e9
+            this.observe(Object.assign({}, labels, moreLabels), seconds)
+            return seconds
+        }
+    }
+
+    _samples() {
+        let lines = []
+        this._values.forEach((entry, key) => {
+            let labels = this._labels(key)
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: formatValue(bound) }))} ${entry.counts[i]}`)
+            })
+            lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${entry.count}`)
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`)
+            lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`)
+        })
+        return lines
+    }
+}
+
+/**
+ * Registry of the metrics exposed on '/metrics' in the Prometheus text exposition format.
+ *
+ * The server registers its own metrics (owner null), and components register theirs through 'environment.metrics'.
+ * Metric names are unique across the registry: registering a metric that already exists returns the existing metric if
+ * it has the same owner, type and labels, and throws otherwise.
+ */
+class MetricsRegistry {
+
+    _metrics = {}
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {function} log Logging function.
+     */
+    constructor(log) {
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    _register(metric) {
+        if (!metricNameFormat.test(metric.name)) {
+            throw new Error(`Invalid metric name: '${metric.name}'.`)
+        }
+
+        metric.labelNames.forEach(n => {
+            if (!labelNameFormat.test(n)) {
+                throw new Error(`Invalid label name for metric '${metric.name}': '${n}'.`)
+            }
+        })
+
+        let existing = this._metrics[metric.name]
+        if (existing) {
+            if (existing.owner === metric.owner && existing.type === metric.type && existing.labelNames.join() === metric.labelNames.join()) {
+                return existing
+            }
+            throw new Error(`A metric named '${metric.name}' has already been registered${existing.owner ? ` by component '${existing.owner}'` : ' by the server'}.`)
+        }
+
+        this._metrics[metric.name] = metric
+        if (metric.owner) {
+            this.log(`Component '${metric.owner}' registered ${metric.type} '${metric.name}'.`, 'debug')
+        }
+        return metric
+    }
+
+    /**
+     * Registers a counter.
+     *
+     * @param {string} name Name of the metric.
+     * @param {string} help Description of the metric.
+     * @param {Array} labelNames Names of the labels of the metric.
+     * @param {string} owner Name of the component registering the metric (null for the server).
+     * @returns The counter.
+     */
+    counter(name, help, labelNames, owner) {
+        return this._register(new Counter(name, help, labelNames, owner || null))
+    }
+
+    /**
+     * Registers a gauge.
+     *
+     * @param {string} name Name of the metric.
+     * @param {string} help Description of the metric.
+     * @param {Array} labelNames Names of the labels of the metric.
+     * @param {string} owner Name of the component registering the metric (null for the server).
+     * @param {function} collect Optional function called with the gauge to update its values before it is serialized.
+     * @returns The gauge.
+     */
+    gauge(name, help, labelNames, owner, collect) {
+        return this._register(new Gauge(name, help, labelNames, owner || null, collect))
+    }
+
+    /**
+     * Registers a histogram.
+     *
+     * @param {string} name Name of the metric.
+     * @param {string} help Description of the metric.
+     * @param {Array} labelNames Names of the labels of the metric.
+     * @param {string} owner Name of the component registering the metric (null for the server).
+     * @param {Array} buckets Upper bounds of the buckets (default: 5ms to 10s).
+     * @returns The histogram.
+     */
+    histogram(name, help, labelNames, owner, buckets) {
+        return this._register(new Histogram(name, help, labelNames, owner || null, buckets))
+    }
+
+    /**
+     * Returns the named metric, or undefined.
+     *
+     * @param {string} name Name of the metric.
+     */
+    get(name) {
+        return this._metrics[name]
+    }
+
+    /**
+     * Removes all metrics registered by the given component.
+     *
+     * @param {string} componentName Name of the component.
+     */
+    remove(componentName) {
+        Object.keys(this._metrics).forEach(name => {
+            if (this._metrics[name].owner === componentName) {
+                delete this._metrics[name]
+            }
+        })
+    }
+
+    /**
+     * Returns all metrics in the text exposition format.
+     */
+    serialize() {
+        let metrics = Object.values(this._metrics).map(metric => {
+            try {
+                return metric.serialize()
+            } catch (err) {
+                this.log(`Failed to collect metric '${metric.name}': ${err}`, 'warn')
+                return null
+            }
+        })
+        return metrics.filter(m => m !== null).join('\n') + '\n'
+    }
+
+    /**
+     * Builds the metrics API object passed to a component through its environment.
+     *
+     * Options objects passed to the methods can contain 'help' and 'labelNames', and 'buckets' for histograms or
+     * 'collect' for gauges.
+     *
+     * @param {string} componentName Name of the component.
+     * @returns An object with 'counter', 'gauge' and 'histogram' methods taking the name of the metric and an options object.
+     */
+    getScope(componentName) {
+        return {
+            counter: (name, options) => {
+                options = options || {}
+                return this.counter(name, options.help, options.labelNames, componentName)
+            },
+            gauge: (name, options) => {
+                options = options || {}
+                return this.gauge(name, options.help, options.labelNames, componentName, options.collect)
+            },
+            histogram: (name, options) => {
+                options = options || {}
+                return this.histogram(name, options.help, options.labelNames, componentName, options.buckets)
+            }
+        }
+    }
+
+    /**
+     * Returns a middleware that records the count and duration of requests, labelled by method, status and route.
+     *
+     * The route is the path template of the matched endpoint including the route the component is mounted at (e.g.
+     * '/api/example/items/:id'), or 'unmatched' if no endpoint matched the request.
+     *
+     * @returns Express middleware.
+     */
+    middleware() {
+        const requests = this.counter('morrigan_http_requests_total', "Number of HTTP requests handled.", [ 'method', 'status', 'route' ])
+        const durations = this.histogram('morrigan_http_request_duration_seconds', "Duration of HTTP requests in seconds.", [ 'method', 'status', 'route' ])
+
+        return (req, res, next) => {
+            // WebSocket connections are counted by 'morrigan_websocket_connections':
+            if (req.ws) {
+                return next()
+            }
+
+            let end = durations.startTimer()
+
+            res.on('finish', () => {
+                let labels = {
+                    method: req.method,
+                    status: `${res.statusCode}`,
+                    route: req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched'
+                }
+                requests.inc(labels)
+                end(labels)
+            })
+
+            next()
+        }
+    }
+}
+
+/**
+ * Registers the '/metrics' endpoint on the given application.
+ *
+ * @param {object} app Express application to register the endpoint on.
+ * @param {object} morrigan Morrigan server instance.
+ */
+function setup(app, morrigan) {
+
+    let handler = (req, res) => {
+        res.setHeader('Content-Type', contentType)
+        res.status(200)
+        res.end(morrigan.metrics.serialize())
+    }
+
+    handler.openapi = {
+        get: {
+            tags: [ 'metrics' ],
+            description: "Returns the server and component metrics in the Prometheus text exposition format.",
+            responses: {
+                200: {
+                    description: "The metrics.",
+                    content: {
+                        'text/plain': {
+                            schema: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    app.get('/metrics', handler)
+}
+
+MetricsRegistry.setup = setup
+MetricsRegistry.contentType = contentType
+
+module.exports = MetricsRegistry
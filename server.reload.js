@@ -0,0 +1,229 @@
+const listeners = require(`${__dirname}/server.listeners`)
+
+/**
+ * Keys in the 'http' settings that can only be applied by restarting the server.
+ */
+const httpRestartKeys = [ 'port', 'address', 'socketPath', 'socketMode', 'secure', 'certType', 'hostname', 'requestCert', 'rejectUnauthorized', 'selfSigned', 'watchCertificates', 'expiryWarning', 'listeners', 'publicUrl', 'trustProxy' ]
+
+/**
+ * Keys in the 'http' settings that specify the TLS certificate and trusted CAs, these can be reloaded on a running server.
+ */
+const httpCertificateKeys = [ 'certPath', 'keyPath', 'passphrase', 'caPath' ]
+
+/**
+ * Top-level settings keys that are applied without restarting the server.
+ *
+ * - logger: Applied to the running logger.
+ * - shutdown: Read when the server stops.
+ * - openapi: Read by the API validation middleware on every request.
+ */
+const liveKeys = [ 'logger', 'shutdown', 'openapi' ]
+
+/**
+ * Keys added to component specifications by the server, these are ignored when comparing specifications.
+ */
+const generatedSpecificationKeys = [ 'endpointUrl' ]
+
+/**
+ * Compares two settings values.
+ *
+ * Functions and class instances (e.g. pre-loaded component modules) are compared by reference.
+ *
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @param {Array} ignoreKeys Optional list of keys to ignore at the top level.
+ * @returns True if the values are equal.
+ */
+function isEqual(a, b, ignoreKeys) {
+    if (a === b) {
+        return true
+    }
+
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false
+    }
+
+    let isPlain = o => Array.isArray(o) || Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null
+    if (!isPlain(a) || !isPlain(b)) {
+        return false
+    }
+
+    ignoreKeys = ignoreKeys || []
+    let keysA = Object.keys(a).filter(k => !ignoreKeys.includes(k) && a[k] !== undefined)
+    let keysB = Object.keys(b).filter(k => !ignoreKeys.includes(k) && b[k] !== undefined)
+
+    if (keysA.length !== keysB.length) {
+        return false
+    }
+
+    return keysA.every(k => isEqual(a[k], b[k]))
+}
+
+/**
+ * Returns true if the given 'http' settings define any HTTPS listeners.
+ */
+function isSecure(httpSettings) {
+    if (Array.isArray(httpSettings.listeners) && httpSettings.listeners.length > 0) {
+        return httpSettings.listeners.some(l => l && l.secure === true)
+    }
+    return httpSettings.secure === true
+}
+
+/**
+ * Returns true if the given 'http' settings define listeners in the same places (see 'listeners.getKey'), so that
+ * certificates from the new settings can be loaded into the listeners started with the old settings.
+ */
+function hasSameListeners(oldHttp, newHttp) {
+    let getKeys = (httpSettings) => listeners.getListeners(httpSettings).map(listeners.getKey).sort()
+    try {
+        return isEqual(getKeys(oldHttp), getKeys(newHttp))
+    } catch (e) {
+        return false
+    }
+}
+
+/**
+ * Returns copies of the given listener definitions without the keys that specify certificates.
+ */
+function withoutCertificateKeys(definitions) {
+    if (!Array.isArray(definitions)) {
+        return definitions
+    }
+
+    return definitions.map(definition => {
+        let copy = Object.assign({}, definition)
+        httpCertificateKeys.forEach(k => delete copy[k])
+        return copy
+    })
+}
+
+/**
+ * Compares two settings objects and determines what has changed and how the changes can be applied.
+ *
+ * @param {object} oldSettings The settings currently in use.
+ * @param {object} newSettings The new settings.
+ * @returns An object describing the changes:
+ *  - logger {boolean}: The logger settings have changed.
+ *  - certificates {boolean}: The TLS certificate paths may have changed (always true for HTTPS servers, since the files may have been renewed, unless the listeners have changed).
+ *  - components {object}: Names of components that have been 'added', 'removed' or 'changed', and components whose 'module' has been replaced ('replaced').
+ *  - requiresRestart {Array}: Settings keys that have changed but can only be applied by restarting the server.
+ */
+function diff(oldSettings, newSettings) {
+    oldSettings = oldSettings || {}
+    newSettings = newSettings || {}
+
+    const changes = {
+        logger: !isEqual(oldSettings.logger, newSettings.logger),
+        certificates: false,
+        components: { added: [], removed: [], changed: [], replaced: [] },
+        requiresRestart: []
+    }
+
+    const keys = new Set(Object.keys(oldSettings).concat(Object.keys(newSettings)))
+
+    keys.forEach(key => {
+        switch (key) {
+            case 'http': {
+                let oldHttp = oldSettings.http || {}
+                let newHttp = newSettings.http || {}
+                let httpKeys = new Set(Object.keys(oldHttp).concat(Object.keys(newHttp)))
+                httpKeys.forEach(k => {
+                    if (httpCertificateKeys.includes(k) || isEqual(oldHttp[k], newHttp[k])) {
+                        return
+                    }
+                    // Certificates can also be specified for each listener:
+                    if (k === 'listeners' && isEqual(withoutCertificateKeys(oldHttp.listeners), withoutCertificateKeys(newHttp.listeners))) {
+                        return
+                    }
+                    changes.requiresRestart.push(`http.${k}`)
+                })
+                changes.certificates = isSecure(oldHttp) && isSecure(newHttp)
+                // Certificates are loaded into the running listeners, so changes to them have to wait for a restart as well:
+                if (changes.certificates && !hasSameListeners(oldHttp, newHttp)) {
+                    changes.certificates = false
+                    httpCertificateKeys.filter(k => !isEqual(oldHttp[k], newHttp[k])).forEach(k => changes.requiresRestart.push(`http.${k}`))
+                }
+                break
+            }
+
+            case 'components': {
+                let oldSpecs = oldSettings.components || {}
+                let newSpecs = newSettings.components || {}
+
+                Object.keys(newSpecs).forEach(name => {
+                    if (!oldSpecs[name]) {
+                        changes.components.added.push(name)
+                        return
+                    }
+
+                    if (!isEqual(oldSpecs[name], newSpecs[name], generatedSpecificationKeys)) {
+                        if (!isEqual(oldSpecs[name].module, newSpecs[name].module)) {
+                            changes.components.replaced.push(name)
+                        } else {
+                            changes.components.changed.push(name)
+                        }
+                    }
+                })
+
+                Object.keys(oldSpecs).forEach(name => {
+                    if (!newSpecs[name]) {
+                        changes.components.removed.push(name)
+                    }
+                })
+                break
+            }
+
+            default: {
+                if (!liveKeys.includes(key) && !isEqual(oldSettings[key], newSettings[key])) {
+                    changes.requiresRestart.push(key)
+                }
+            }
+        }
+    })
+
+    return changes
+}
+
+/**
+ * Builds the settings object that is in effect after a reload, keeping the old values of settings that could not be applied.
+ *
+ * @param {object} oldSettings The settings in use before the reload.
+ * @param {object} newSettings The new settings.
+ * @param {Array} appliedComponents Names of components whose new specifications were applied.
+ * @returns The effective settings object.
+ */
+function merge(oldSettings, newSettings, appliedComponents) {
+    const effective = Object.assign({}, newSettings)
+    const changes = diff(oldSettings, newSettings)
+
+    changes.requiresRestart.forEach(key => {
+        let [ section, subKey ] = key.split('.')
+        if (subKey === undefined) {
+            effective[section] = oldSettings[section]
+            if (effective[section] === undefined) {
+                delete effective[section]
+            }
+            return
+        }
+
+        effective[section] = Object.assign({}, effective[section])
+        effective[section][subKey] = (oldSettings[section] || {})[subKey]
+    })
+
+    effective.components = Object.assign({}, oldSettings.components)
+    appliedComponents.forEach(name => {
+        effective.components[name] = newSettings.components[name]
+    })
+
+    return effective
+}
+
+module.exports = {
+    isEqual,
+    diff,
+    merge
+}
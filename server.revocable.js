@@ -0,0 +1,87 @@
+/**
+ * Methods of DataStores, StateStores, collections and cursors whose results are handles to the same storage (sub-stores,
+ * collections and cursors), these are revoked along with the object they were obtained from.
+ */
+const handleMethods = [ 'collection', 'getCollection', 'createCollection', 'getDataStore', 'getStore', 'find', 'aggregate', 'watch' ]
+
+/**
+ * Class used to hand out revocable handles to the DataStore and StateStore delegated to a component.
+ *
+ * The handles (and any collections, cursors and sub-stores obtained through them) behave like the wrapped objects until
+ * 'revoke' is called, after which every use of them throws. This keeps closures, timers and handlers left behind by a
+ * stopped component from reading or writing its data.
+ */
+class RevocableStores {
+
+    _componentName = null
+    _revoked = false
+
+    /**
+     * Main constructor.
+     *
+     * @param {string} componentName Name of the component that the stores are delegated to.
+     */
+    constructor(componentName) {
+        this._componentName = componentName
+    }
+
+    /**
+     * Wraps a store (or a handle obtained from one) so that it can be revoked.
+     *
+     * @param {object} target The object to wrap.
+     * @returns A proxy for the object.
+     */
+    wrap(target) {
+        if (!target || typeof target !== 'object') {
+            return target
+        }
+
+        const self = this
+        const proxy = new Proxy(target, {
+            get(target, prop) {
+                self._check()
+
+                let value = Reflect.get(target, prop, target)
+                if (typeof value !== 'function') {
+                    return value
+                }
+
+                return (...args) => {
+                    self._check()
+
+                    let result = value.apply(target, args)
+                    if (!handleMethods.includes(prop)) {
+                        // Cursor methods such as 'sort' return the cursor itself:
+                        return result === target ? proxy : result
+                    }
+
+                    return (result && typeof result.then === 'function') ? result.then(r => self.wrap(r)) : self.wrap(result)
+                }
+            }
+        })
+
+        return proxy
+    }
+
+    /**
+     * Revokes all handles returned by 'wrap'.
+     */
+    revoke() {
+        this._revoked = true
+    }
+
+    /**
+     * Returns true if the handles have been revoked.
+     */
+    isRevoked() {
+        return this._revoked
+    }
+
+    _check() {
+        if (this._revoked) {
+            throw new Error(`The stores of component '${this._componentName}' have been revoked, since the component was stopped.`)
+        }
+    }
+}
+
+module.exports = RevocableStores
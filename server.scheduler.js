@@ -0,0 +1,509 @@
+const { DateTime } = require('luxon')
+const cronParser = require('cron-parser')
+const { requireAdmin } = require(`${__dirname}/server.access`)
+
+/**
+ * Name of the collection (under the component's DataStore namespace) where job records are stored.
+ */
+const jobsCollectionName = 'morrigan.jobs'
+
+/**
+ * Longest delay supported by setTimeout. Timers for jobs further in the future will be re-armed when they fire.
+ */
+const maxTimerDelay = 2147483647
+
+/**
+ * Error code returned by MongoDB when an insert violates a unique index.
+ */
+const duplicateKeyErrorCode = 11000
+
+/**
+ * Format for job names.
+ */
+const jobNameFormat = /^[a-z0-9\-_.]+$/i
+
+/**
+ * Validates and normalizes a job schedule.
+ *
+ * @param {object} options Schedule options, either { cron: '<expression>', timezone: '<tz>' } or { interval: <milliseconds> }.
+ * @returns The normalized schedule object.
+ */
+function getSchedule(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error(`Invalid job schedule (expected an object with either a 'cron' or an 'interval' key, found '${typeof options}').`)
+    }
+
+    if (options.cron !== undefined && options.interval !== undefined) {
+        throw new Error(`Invalid job schedule: 'cron' and 'interval' cannot be combined.`)
+    }
+
+    if (options.cron !== undefined) {
+        if (typeof options.cron !== 'string') {
+            throw new Error(`Invalid cron expression (expected a string, found '${typeof options.cron}').`)
+        }
+        // Throws if the expression is invalid:
+        cronParser.parseExpression(options.cron, { tz: options.timezone })
+
+        let schedule = { cron: options.cron }
+        if (options.timezone) {
+            schedule.timezone = options.timezone
+        }
+        return schedule
+    }
+
+    if (options.interval !== undefined) {
+        if (typeof options.interval !== 'number' || !(options.interval > 0)) {
+            throw new Error(`Invalid job interval (expected a positive number of milliseconds, found '${options.interval}').`)
+        }
+        return { interval: options.interval }
+    }
+
+    throw new Error(`Invalid job schedule: either 'cron' or 'interval' must be specified.`)
+}
+
+/**
+ * Calculates the next time a job should run.
+ *
+ * @param {object} schedule Normalized schedule object.
+ * @param {Date} from Time to calculate the next run from.
+ * @returns Date of the next run.
+ */
+function getNextRunTime(schedule, from) {
+    if (schedule.cron) {
+        return cronParser.parseExpression(schedule.cron, { currentDate: from, tz: schedule.timezone }).next().toDate()
+    }
+
+    return new Date(from.getTime() + schedule.interval)
+}
+
+/**
+ * Job scheduler for a single component.
+ *
+ * Job records (schedule, next run time and the time, duration and result of the last run) are stored in the
+ * component's 'morrigan.jobs' collection, so they are shared by all instances in the cluster running the component.
+ * When a job is due, every instance attempts to advance the job's 'nextRunTime', and only the instance that succeeds
+ * runs the job. This guarantees that each scheduled run happens at most once across the cluster.
+ */
+class Scheduler {
+
+    _componentName = null
+    _datastore = null
+    _instanceId = null
+    _collection = null
+    _jobs = {}
+    _stopped = false
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {string} componentName Name of the component that the scheduler belongs to.
+     * @param {object} datastore The component's DataStore.
+     * @param {string} instanceId ID of this server instance.
+     * @param {function} log Logging function.
+     */
+    constructor(componentName, datastore, instanceId, log) {
+        this._componentName = componentName
+        this._datastore = datastore
+        this._instanceId = instanceId
+
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Schedules a job.
+     *
+     * If the job has been scheduled before (by this or another instance) with the same schedule, the stored next run time is kept.
+     *
+     * @param {string} name Name of the job.
+     * @param {object} options Either { cron: '<expression>', timezone: '<optional tz>' } or { interval: <milliseconds> }.
+     * @param {function} fn Function to call when the job runs. It will be passed an object with the keys 'name', 'scheduledTime' and 'manual'. The returned value is stored as the result of the run.
+     * @returns The job record.
+     */
+    async schedule(name, options, fn) {
+        if (this._stopped) {
+            throw new Error(`Unable to schedule job '${name}': the scheduler for component '${this._componentName}' has been stopped.`)
+        }
+
+        if (typeof name !== 'string' || !jobNameFormat.test(name)) {
+            throw new Error(`Invalid job name: '${name}' (should only contain characters a-z, 0-9, '.', - and _).`)
+        }
+
+        if (typeof fn !== 'function') {
+            throw new Error(`Invalid job function provided for '${name}' (expected a function, found '${typeof fn}').`)
+        }
+
+        const schedule = getSchedule(options)
+        const collection = await this._getCollection()
+
+        if (this._jobs[name]) {
+            clearTimeout(this._jobs[name].timer)
+        }
+
+        let record = await collection.findOne({ name })
+
+        if (!record || JSON.stringify(record.schedule) !== JSON.stringify(schedule)) {
+            let nextRunTime = getNextRunTime(schedule, new Date())
+            try {
+                await collection.updateOne({ name }, { $set: { name, schedule, nextRunTime } }, { upsert: true })
+            } catch (err) {
+                if (err.code !== duplicateKeyErrorCode) {
+                    throw err
+                }
+                // Another instance created the record at the same time.
+            }
+            record = await collection.findOne({ name })
+        }
+
+        const job = { name, schedule, fn, timer: null, running: false }
+        this._jobs[name] = job
+        this._arm(job, record.nextRunTime)
+
+        this.log(`Scheduled job '${name}' for component '${this._componentName}' (next run: ${DateTime.fromJSDate(record.nextRunTime).toISO()}).`)
+
+        return record
+    }
+
+    /**
+     * Cancels a job on this instance and removes its record.
+     *
+     * @param {string} name Name of the job.
+     */
+    async cancel(name) {
+        let job = this._jobs[name]
+        if (job) {
+            clearTimeout(job.timer)
+            delete this._jobs[name]
+        }
+
+        const collection = await this._getCollection()
+        await collection.deleteOne({ name })
+    }
+
+    /**
+     * Runs a job immediately on this instance, regardless of its schedule.
+     *
+     * @param {string} name Name of the job.
+     * @returns The result of the run, or null if the job is already running on this instance.
+     */
+    async trigger(name) {
+        let job = this._jobs[name]
+        if (!job) {
+            throw new Error(`No job named '${name}' is scheduled for component '${this._componentName}'.`)
+        }
+
+        return await this._run(job, { name, scheduledTime: new Date(), manual: true })
+    }
+
+    /**
+     * Lists the jobs scheduled by the component.
+     *
+     * @returns An array of job records.
+     */
+    async list() {
+        const collection = await this._getCollection()
+        let records = await collection.find({}).toArray()
+
+        return records.map(r => {
+            let job = this._jobs[r.name]
+            return {
+                component: this._componentName,
+                name: r.name,
+                schedule: r.schedule,
+                nextRunTime: r.nextRunTime,
+                lastRunTime: r.lastRunTime,
+                lastDuration: r.lastDuration,
+                lastResult: r.lastResult,
+                lastRunBy: r.lastRunBy,
+                active: job !== undefined,
+                running: job !== undefined && job.running
+            }
+        })
+    }
+
+    /**
+     * Checks whether the named job is scheduled on this instance.
+     *
+     * @param {string} name Name of the job.
+     */
+    has(name) {
+        return this._jobs[name] !== undefined
+    }
+
+    /**
+     * Cancels all timers on this instance. Job records are kept, and jobs that are currently running are allowed to finish.
+     */
+    stop() {
+        this._stopped = true
+        Object.values(this._jobs).forEach(job => {
+            clearTimeout(job.timer)
+            job.timer = null
+        })
+    }
+
+    /**
+     * Builds the scheduler API object passed to a component through its environment.
+     *
+     * @returns An object with 'schedule', 'cancel', 'trigger' and 'list' methods.
+     */
+    getScope() {
+        return {
+            schedule: (name, options, fn) => this.schedule(name, options, fn),
+            cancel: (name) => this.cancel(name),
+            trigger: (name) => this.trigger(name),
+            list: () => this.list()
+        }
+    }
+
+    async _getCollection() {
+        if (!this._collection) {
+            this._collection = await this._datastore.collection(jobsCollectionName)
+            await this._collection.createIndex({ name: 1 }, { unique: true })
+        }
+        return this._collection
+    }
+
+    _arm(job, nextRunTime) {
+        if (this._stopped) {
+            return
+        }
+
+        clearTimeout(job.timer)
+        let delay = Math.min(Math.max(new Date(nextRunTime).getTime() - Date.now(), 0), maxTimerDelay)
+        job.timer = setTimeout(() => {
+            this._tick(job).catch(err => {
+                this.log(`An error occurred while processing job '${job.name}' for component '${this._componentName}': ${err}`, 'error')
+                // Try again later:
+                this._arm(job, getNextRunTime(job.schedule, new Date()))
+            })
+        }, delay)
+    }
+
+    async _tick(job) {
+        job.timer = null
+
+        if (this._stopped || this._jobs[job.name] !== job) {
+            return
+        }
+
+        const collection = await this._getCollection()
+        let record = await collection.findOne({ name: job.name })
+
+        if (!record) {
+            this.log(`The record for job '${job.name}' (component '${this._componentName}') has been removed, cancelling it.`, 'warn')
+            delete this._jobs[job.name]
+            return
+        }
+
+        const now = new Date()
+
+        if (record.nextRunTime > now) {
+            // Not due yet (another instance has already run it, or the timer was capped):
+            this._arm(job, record.nextRunTime)
+            return
+        }
+
+        // Claim this run by advancing the next run time, only one instance will succeed:
+        let nextRunTime = getNextRunTime(job.schedule, now)
+        let claimed = await collection.findOneAndUpdate(
+            { name: job.name, nextRunTime: record.nextRunTime },
+            { $set: { nextRunTime } },
+            { returnDocument: 'after', includeResultMetadata: false }
+        )
+
+        if (!claimed) {
+            let current = await collection.findOne({ name: job.name })
+            this._arm(job, current ? current.nextRunTime : nextRunTime)
+            return
+        }
+
+        this._arm(job, nextRunTime)
+        await this._run(job, { name: job.name, scheduledTime: record.nextRunTime, manual: false })
+    }
+
+    async _run(job, context) {
+        if (job.running) {
+            this.log(`Job '${job.name}' (component '${this._componentName}') is still running, skipping this run.`, 'warn')
+            return null
+        }
+
+        job.running = true
+        const startTime = new Date()
+        let result = null
+
+        try {
+            let value = await job.fn(context)
+            result = { status: 'success' }
+            if (value !== undefined) {
+                try {
+                    result.value = JSON.parse(JSON.stringify(value))
+                } catch {
+                    result.value = `${value}`
+                }
+            }
+        } catch (err) {
+            this.log(`Job '${job.name}' (component '${this._componentName}') failed: ${err}`, 'error')
+            result = { status: 'failed', error: (err && err.message) ? err.message : `${err}` }
+        } finally {
+            job.running = false
+        }
+
+        const duration = Date.now() - startTime.getTime()
+        result.manual = context.manual
+
+        try {
+            const collection = await this._getCollection()
+            await collection.updateOne({ name: job.name }, { $set: {
+                lastRunTime: startTime,
+                lastDuration: duration,
+                lastResult: result,
+                lastRunBy: this._instanceId
+            } })
+        } catch (err) {
+            this.log(`Failed to record the result of job '${job.name}' (component '${this._componentName}'): ${err}`, 'error')
+        }
+
+        return Object.assign({ runTime: startTime, duration }, result)
+    }
+}
+
+const jobSchema = {
+    type: 'object',
+    required: [ 'component', 'name', 'schedule' ],
+    properties: {
+        component: { type: 'string', description: "Name of the component that scheduled the job." },
+        name: { type: 'string' },
+        schedule: {
+            type: 'object',
+            properties: {
+                cron: { type: 'string', description: "Cron expression." },
+                timezone: { type: 'string' },
+                interval: { type: 'integer', description: "Number of milliseconds between runs." }
+            }
+        },
+        nextRunTime: { type: 'string', format: 'date-time' },
+        lastRunTime: { type: 'string', format: 'date-time' },
+        lastDuration: { type: 'integer', description: "Duration of the last run in milliseconds." },
+        lastResult: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: [ 'success', 'failed' ] },
+                value: { description: "Value returned by the job." },
+                error: { type: 'string' },
+                manual: { type: 'boolean' }
+            }
+        },
+        lastRunBy: { type: 'string', description: "ID of the instance that performed the last run." },
+        active: { type: 'boolean', description: "Whether the job is scheduled on this instance." },
+        running: { type: 'boolean', description: "Whether the job is currently running on this instance." }
+    }
+}
+
+/**
+ * Registers the '/api/jobs' endpoints on the given application.
+ *
+ * @param {object} app Express application to register the endpoints on.
+ * @param {object} morrigan Morrigan server instance.
+ */
+function setup(app, morrigan) {
+
+    let listHandler = async (req, res) => {
+        try {
+            let jobs = []
+            for (const scheduler of Object.values(morrigan._schedulers)) {
+                jobs = jobs.concat(await scheduler.list())
+            }
+            res.setHeader('Content-Type', 'application/json')
+            res.status(200)
+            res.end(JSON.stringify(jobs))
+        } catch (err) {
+            morrigan.log(`Failed to list jobs: ${err}`, 'error')
+            res.status(500)
+            res.end()
+        }
+    }
+
+    listHandler.openapi = {
+        get: {
+            tags: [ 'jobs' ],
+            description: "Lists the jobs scheduled by components.",
+            responses: {
+                200: {
+                    description: "List of jobs.",
+                    content: {
+                        'application/json': {
+                            schema: { type: 'array', items: jobSchema }
+                        }
+                    }
+                },
+                500: { description: "The job records could not be retrieved." }
+            }
+        }
+    }
+
+    let triggerHandler = async (req, res) => {
+        let scheduler = morrigan._schedulers[req.params.component]
+
+        if (!scheduler || !scheduler.has(req.params.name)) {
+            res.status(404)
+            res.end()
+            return
+        }
+
+        let result = await scheduler.trigger(req.params.name)
+
+        if (result === null) {
+            res.status(409)
+            res.end()
+            return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        res.status(200)
+        res.end(JSON.stringify(result))
+    }
+
+    triggerHandler.openapi = {
+        post: {
+            tags: [ 'jobs' ],
+            description: "Runs a job immediately on this instance. Requires an administrator.",
+            parameters: [
+                { name: 'component', in: 'path', required: true, schema: { type: 'string' } },
+                { name: 'name', in: 'path', required: true, schema: { type: 'string' } }
+            ],
+            responses: {
+                200: {
+                    description: "The job has run, see the response body for the result.",
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    status: { type: 'string', enum: [ 'success', 'failed' ] },
+                                    value: { description: "Value returned by the job." },
+                                    error: { type: 'string' },
+                                    runTime: { type: 'string', format: 'date-time' },
+                                    duration: { type: 'integer' }
+                                }
+                            }
+                        }
+                    }
+                },
+                401: { description: "The caller is not authenticated." },
+                403: { description: "The caller is not an administrator." },
+                404: { description: "No such job is scheduled on this instance." },
+                409: { description: "The job is already running on this instance." }
+            }
+        }
+    }
+
+    app.get('/api/jobs', listHandler)
+    app.post('/api/jobs/:component/:name/run', requireAdmin, triggerHandler)
+}
+
+Scheduler.setup = setup
+
+module.exports = Scheduler
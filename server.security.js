@@ -0,0 +1,163 @@
+const { requireClientCertificate } = require(`${__dirname}/server.access`)
+
+/**
+ * Registry of authenticators for the security schemes declared in the OpenAPI document.
+ *
+ * Components register an authenticator for a named security scheme (e.g. 'authorizationToken'), and the server uses
+ * them to enforce the 'security' requirements declared on the '.openapi' objects of handlers (or the document-level
+ * default) before the handlers run.
+ *
+ * An authenticator is a function called with the request and the scopes required by the requirement, returning (or
+ * resolving to):
+ * - The identity of the caller, if the request is authenticated and the identity has the required scopes.
+ * - false, if the request is authenticated but the identity does not have the required scopes (403).
+ * - null or undefined, if the request does not carry valid credentials for the scheme (401).
+ */
+class SecurityRegistry {
+
+    _authenticators = {}
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {function} log Logging function.
+     */
+    constructor(log) {
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Registers an authenticator for a security scheme.
+     *
+     * @param {string} componentName Name of the component registering the authenticator.
+     * @param {string} scheme Name of the security scheme (a key in 'components.securitySchemes').
+     * @param {function} authenticator Authenticator function (see above).
+     */
+    register(componentName, scheme, authenticator) {
+        if (typeof scheme !== 'string' || scheme.length === 0) {
+            throw new Error(`Invalid security scheme name provided by component '${componentName}': '${scheme}'.`)
+        }
+
+        if (typeof authenticator !== 'function') {
+            throw new Error(`No authenticator function provided for security scheme '${scheme}' by component '${componentName}'.`)
+        }
+
+        let existing = this._authenticators[scheme]
+        if (existing && existing.componentName !== componentName) {
+            throw new Error(`An authenticator for security scheme '${scheme}' has already been registered by component '${existing.componentName}'.`)
+        }
+
+        this._authenticators[scheme] = { componentName, authenticator }
+        this.log(`Component '${componentName}' registered an authenticator for security scheme '${scheme}'.`, 'debug')
+    }
+
+    /**
+     * Removes all authenticators registered by the given component.
+     *
+     * @param {string} componentName Name of the component.
+     */
+    remove(componentName) {
+        Object.keys(this._authenticators).forEach(scheme => {
+            if (this._authenticators[scheme].componentName === componentName) {
+                delete this._authenticators[scheme]
+            }
+        })
+    }
+
+    /**
+     * Removes all authenticators.
+     */
+    clear() {
+        this._authenticators = {}
+    }
+
+    /**
+     * Returns true if any authenticators have been registered.
+     */
+    hasAuthenticators() {
+        return Object.keys(this._authenticators).length > 0
+    }
+
+    /**
+     * Returns the names of the schemes in the given security requirements that do not have an authenticator.
+     *
+     * @param {Array} requirements Security requirement objects (see the 'security' key in the OpenAPI specification).
+     * @returns Array of scheme names.
+     */
+    getMissingSchemes(requirements) {
+        let schemes = new Set()
+        requirements.forEach(requirement => Object.keys(requirement).forEach(scheme => schemes.add(scheme)))
+        return [ ...schemes ].filter(scheme => !this._authenticators[scheme])
+    }
+
+    /**
+     * Authenticates a request against a list of security requirements.
+     *
+     * The request is authenticated if all schemes in any of the requirements accept it. An empty requirement ('{}')
+     * allows unauthenticated requests, but is only used if none of the other requirements are met. Requirements that
+     * refer to a scheme without an authenticator are never met.
+     *
+     * @param {object} req Express request object.
+     * @param {Array} requirements Security requirement objects.
+     * @returns An object with the key 'status' ('authenticated', 'unauthenticated', 'forbidden' or 'unavailable' if
+     *  none of the requirements could be checked because their authenticators are missing), and for authenticated
+     *  requests 'identity' (the identity returned for the first scheme of the requirement that was met, or null for '{}')
+     *  and 'identities' (the identities returned by each scheme, by scheme name).
+     */
+    async authenticate(req, requirements) {
+        let forbidden = false
+        let checked = false
+        let ordered = requirements.filter(r => Object.keys(r).length > 0).concat(requirements.filter(r => Object.keys(r).length === 0))
+
+        for (const requirement of ordered) {
+            let schemes = Object.keys(requirement)
+            let identities = {}
+            let met = true
+
+            if (schemes.some(scheme => !this._authenticators[scheme])) {
+                continue
+            }
+            checked = true
+
+            for (const scheme of schemes) {
+                let identity = await this._authenticators[scheme].authenticator(req, requirement[scheme] || [])
+                if (identity === false) {
+                    forbidden = true
+                }
+                if (!identity) {
+                    met = false
+                    break
+                }
+                identities[scheme] = identity
+            }
+
+            if (met) {
+                return { status: 'authenticated', identity: schemes.length > 0 ? identities[schemes[0]] : null, identities }
+            }
+        }
+
+        if (forbidden) {
+            return { status: 'forbidden' }
+        }
+        return { status: checked ? 'unauthenticated' : 'unavailable' }
+    }
+
+    /**
+     * Builds the security API object passed to a component through its environment.
+     *
+     * @param {string} componentName Name of the component.
+     * @returns An object with a 'registerAuthenticator' method and the 'requireClientCertificate' middleware.
+     */
+    getScope(componentName) {
+        return {
+            registerAuthenticator: (scheme, authenticator) => this.register(componentName, scheme, authenticator),
+            requireClientCertificate
+        }
+    }
+}
+
+module.exports = SecurityRegistry
@@ -0,0 +1,264 @@
+/**
+ * Registry used by components to provide services to each other.
+ *
+ * Services are namespaced by component: a service provided by the component 'auth' must be named 'auth.<name>'
+ * (e.g. 'auth.verifyToken'). This allows lookups to wait until the providing component has finished its setup,
+ * and to fail if the component failed its setup hook.
+ */
+class ServiceRegistry {
+
+    _services = {}
+    _providers = {}
+    _waiting = {}
+    _dependencies = {}
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {function} log Logging function.
+     */
+    constructor(log) {
+        if (typeof log === 'function') {
+            this.log = log
+        }
+    }
+
+    /**
+     * Marks the given components as pending, meaning that lookups for their services will wait until they have
+     * finished their setup.
+     *
+     * @param {Array} componentNames Names of the components.
+     */
+    setPending(componentNames) {
+        componentNames.forEach(name => {
+            this._providers[name] = { state: 'pending' }
+        })
+    }
+
+    /**
+     * Records the dependencies of the components, used to reject lookups that would wait for a component that is not
+     * set up before the requesting component.
+     *
+     * @param {Array} components Component records, with 'dependsOn' set to the names of the components they depend on.
+     */
+    setDependencies(components) {
+        this._dependencies = {}
+        components.forEach(c => {
+            this._dependencies[c.name] = c.dependsOn || []
+        })
+    }
+
+    /**
+     * Marks the given component as ready.
+     *
+     * Any pending lookups for services that the component should have provided, but did not, will be rejected.
+     *
+     * @param {string} componentName Name of the component.
+     */
+    setReady(componentName) {
+        this._providers[componentName] = { state: 'ready' }
+
+        this._settleWaiting(componentName, (name) => {
+            return new Error(`Service '${name}' is not available: component '${componentName}' finished its setup without providing it.`)
+        })
+    }
+
+    /**
+     * Marks the given component as failed, causing any pending and future lookups for its services to be rejected.
+     *
+     * @param {string} componentName Name of the component.
+     * @param {*} error The error that caused the component to fail.
+     */
+    setFailed(componentName, error) {
+        this._providers[componentName] = { state: 'failed', error }
+
+        this._settleWaiting(componentName, (name) => this._failedError(name, componentName))
+    }
+
+    /**
+     * Removes all services provided by the given component and marks it as pending.
+     *
+     * @param {string} componentName Name of the component.
+     */
+    remove(componentName) {
+        Object.keys(this._services).forEach(name => {
+            if (this._getProviderName(name) === componentName) {
+                delete this._services[name]
+            }
+        })
+        this._providers[componentName] = { state: 'pending' }
+    }
+
+    /**
+     * Removes all services provided by the given component and marks it as stopped, causing any pending and future
+     * lookups for its services to be rejected until the component is set up again.
+     *
+     * @param {string} componentName Name of the component.
+     */
+    setStopped(componentName) {
+        this.remove(componentName)
+        this._providers[componentName] = { state: 'stopped' }
+
+        this._settleWaiting(componentName, (name) => {
+            return new Error(`Service '${name}' is not available: component '${componentName}' has been stopped.`)
+        })
+    }
+
+    /**
+     * Removes all services and providers.
+     */
+    clear() {
+        Object.keys(this._providers).forEach(componentName => {
+            this._settleWaiting(componentName, (name) => new Error(`Service '${name}' is not available: the server is stopping.`))
+        })
+        this._services = {}
+        this._providers = {}
+    }
+
+    /**
+     * Registers a service provided by the given component.
+     *
+     * @param {string} componentName Name of the component providing the service.
+     * @param {string} name Name of the service, must be prefixed with the name of the component (e.g. 'auth.verifyToken').
+     * @param {*} service The service (typically a function or an object) to provide.
+     */
+    provide(componentName, name, service) {
+        if (typeof name !== 'string' || this._getProviderName(name) !== componentName || name.length <= componentName.length + 1) {
+            throw new Error(`Invalid service name provided by component '${componentName}': '${name}' (service names must be prefixed with the component name, e.g. '${componentName}.myService').`)
+        }
+
+        if (service === undefined) {
+            throw new Error(`No service provided for '${name}' by component '${componentName}'.`)
+        }
+
+        if (this._services[name] !== undefined) {
+            this.log(`Component '${componentName}' is replacing service '${name}'.`, 'warn')
+        }
+
+        this._services[name] = service
+        this.log(`Component '${componentName}' provided service '${name}'.`, 'debug')
+
+        let waiting = this._waiting[name] || []
+        delete this._waiting[name]
+        waiting.forEach(w => w.resolve(service))
+    }
+
+    /**
+     * Retrieves the named service.
+     *
+     * If the providing component has not yet finished its setup, this will wait until the service is provided. Lookups
+     * made during the setup of a component that does not depend on the providing component (directly or through other
+     * dependencies, see 'dependsOn') are rejected instead, since the requesting component may be set up first and would
+     * then wait forever. Components that have finished their setup can always wait, e.g. for a component that is being
+     * started with 'startComponent'.
+     *
+     * @param {string} name Name of the service (e.g. 'auth.verifyToken').
+     * @param {string} requesterName Optional name of the component requesting the service.
+     * @returns A promise that resolves to the service.
+     */
+    async get(name, requesterName) {
+        if (this._services[name] !== undefined) {
+            return this._services[name]
+        }
+
+        const providerName = this._getProviderName(name)
+        const provider = this._providers[providerName]
+
+        if (!provider) {
+            throw new Error(`Service '${name}' is not available: there is no component named '${providerName}'.`)
+        }
+
+        switch (provider.state) {
+            case 'failed':
+                throw this._failedError(name, providerName)
+            case 'stopped':
+                throw new Error(`Service '${name}' is not available: component '${providerName}' has been stopped.`)
+            case 'ready':
+                throw new Error(`Service '${name}' is not available: component '${providerName}' does not provide it.`)
+        }
+
+        if (requesterName && this._isPending(requesterName) && this._dependencies[requesterName] && !this._dependsOn(requesterName, providerName)) {
+            throw new Error(`Service '${name}' is not available yet: component '${requesterName}' does not depend on '${providerName}' (add '${providerName}' to its 'dependsOn' to wait for the service during setup).`)
+        }
+
+        if (requesterName) {
+            this.log(`Component '${requesterName}' is waiting for service '${name}'.`, 'debug')
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this._waiting[name]) {
+                this._waiting[name] = []
+            }
+            this._waiting[name].push({ resolve, reject })
+        })
+    }
+
+    /**
+     * Returns the names of all currently provided services.
+     *
+     * @returns Array of service names.
+     */
+    list() {
+        return Object.keys(this._services)
+    }
+
+    /**
+     * Builds the services API object passed to a component through its environment.
+     *
+     * @param {string} componentName Name of the component.
+     * @returns An object with 'provide', 'get' and 'list' methods.
+     */
+    getScope(componentName) {
+        return {
+            provide: (name, service) => this.provide(componentName, name, service),
+            get: (name) => this.get(name, componentName),
+            list: () => this.list()
+        }
+    }
+
+    _isPending(componentName) {
+        let provider = this._providers[componentName]
+        return !provider || provider.state === 'pending'
+    }
+
+    _dependsOn(componentName, dependencyName) {
+        let visited = new Set()
+        let pending = [ ...(this._dependencies[componentName] || []) ]
+        while (pending.length > 0) {
+            let name = pending.pop()
+            if (name === dependencyName) {
+                return true
+            }
+            if (!visited.has(name)) {
+                visited.add(name)
+                pending.push(...(this._dependencies[name] || []))
+            }
+        }
+        return false
+    }
+
+    _getProviderName(name) {
+        return `${name}`.split('.')[0]
+    }
+
+    _failedError(name, componentName) {
+        let provider = this._providers[componentName]
+        let reason = (provider && provider.error) ? `: ${provider.error.message || provider.error}` : '.'
+        return new Error(`Service '${name}' is not available: component '${componentName}' failed its setup hook${reason}`)
+    }
+
+    _settleWaiting(componentName, buildError) {
+        Object.keys(this._waiting).forEach(name => {
+            if (this._getProviderName(name) !== componentName) {
+                return
+            }
+            let waiting = this._waiting[name]
+            delete this._waiting[name]
+            waiting.forEach(w => w.reject(buildError(name)))
+        })
+    }
+}
+
+module.exports = ServiceRegistry
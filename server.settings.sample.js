@@ -1,3 +1,14 @@
+/**
+ * When running the server with start.js, sending SIGHUP to the process will re-read this file and apply the changes
+ * that can be applied without restarting the server (logger and API validation settings, TLS certificates and component specifications
+ * for components that implement 'onSettingsChanged'). Other changes are logged and applied on the next restart.
+ *
+ * Any setting can be overridden with 'MORRIGAN_*' environment variables or command-line flags (see "Configuration
+ * sources" in the README), and this file can also be written as JSON or YAML.
+ *
+ * The settings are validated when the server is set up (see server.validation.js for the schema): unrecognized keys and
+ * invalid values are reported together and prevent the server from starting.
+ */
 module.exports = {
 
     /*
@@ -12,9 +23,37 @@ module.exports = {
      * 
      * Currently recognizes the following options:
      * - port: The port number that the server should listen on.
+     * - address: The address to listen on (default: all interfaces).
      * - secure: A boolean to indicate whether the server should use HTTPS.
      * - certPath: Iff secure is true, this key specifies a location where the server can expect to to find the x509 certificate for the server.
+     * - certType: 'pem' (default) to read the certificate and key from separate PEM files, or 'pfx' to read both from the
+     *   PFX/PKCS#12 file at 'certPath'.
      * - keyPath: Iff secure is true, this key specifies the location where the server can expect to find the private key corresponding to the certificate.
+     * - passphrase: The passphrase of the PFX file or of an encrypted private key.
+     * - caPath: Path (or array of paths) to PEM files with the CA certificates used to verify client certificates.
+     * - requestCert: Set to true to ask clients for a certificate (mutual TLS).
+     * - rejectUnauthorized: Iff requestCert is true, whether connections without a valid client certificate are rejected
+     *   (default: true). Set to false to only require client certificates on specific routes (see "Client certificates" in the README).
+     * - selfSigned: Set to true to use a self-signed certificate if the certificate files are missing. The certificate is
+     *   generated on first run and kept in the StateStore (see 'stateDir'), and replaced when it is about to expire.
+     * - watchCertificates: Whether to load the certificate files into the running server when they are renewed (default: true).
+     * - expiryWarning: Number of days before the certificate expires from which a warning is logged every day (default: 30).
+     * - listeners: An array of listener definitions, to listen on several ports (e.g. HTTPS externally and HTTP on an
+     *   internal network). Each definition takes the 'port', 'address' and 'secure' options above, and inherits the
+     *   other options (e.g. 'hostname' and the certificate settings) from these settings unless it specifies them. Set
+     *   'redirect' to true on a listener to redirect all requests to the server's base URL, and 'preferred' to true on
+     *   the listener whose URL should be reported as the base URL (default: the first HTTPS listener). For example:
+     *       listeners: [
+     *           { port: 443, secure: true },
+     *           { port: 8080, address: '10.0.0.5' },
+     *           { port: 80, redirect: true }
+     *       ]
+     * - socketPath: Path of a Unix domain socket to listen on instead of a port (also for each listener).
+     * - socketMode: Permissions to set on the socket, as an octal string (e.g. '660').
+     * - trustProxy: The Express 'trust proxy' setting, to use the client address and protocol reported by reverse proxies
+     *   (e.g. true, the number of proxies, or 'loopback'). See "Reverse proxies" in the README.
+     * - publicUrl: The URL that clients use to reach the server (e.g. 'https://example.com/morrigan/'), reported as the
+     *   base URL. If it includes a path, the server's routes are also served under that path.
      * 
      * This key is not required and can be safely omitted. This will create a HTTP server that listens on port 3000.
      */
@@ -39,6 +78,69 @@ module.exports = {
         dbname: "morrigan-server"
     },
 
+    /**
+     * Cluster settings.
+     * 
+     * Each server instance records itself in the 'morrigan.instances' collection and periodically updates its check-in time.
+     * 
+     * Accepts the following options:
+     * - checkInInterval: Number of milliseconds between check-ins (default: 30000).
+     * - staleAfter: Number of milliseconds without a check-in after which an instance is reported as 'stale' (default: 60000).
+     * - deadAfter: Number of milliseconds without a check-in after which an instance is reported as 'dead' and marked as
+     *   no longer live, with the stop reason 'missed check-ins' (default: 300000).
+     * - leaseTTL: Number of milliseconds that leases (including the cluster leadership) are valid for unless they are renewed (default: 30000).
+     *   If the leader stops renewing its lease, a new leader will be elected once the lease expires.
+     * - leaseRenewInterval: Number of milliseconds between lease renewals (default: 10000). Should be well below leaseTTL.
+     * 
+     * This key is not required and can be safely omitted.
+     */
+    cluster: {
+        checkInInterval: 30000,
+        staleAfter: 60000,
+        deadAfter: 300000,
+        leaseTTL: 30000,
+        leaseRenewInterval: 10000
+    },
+
+    /**
+     * Shutdown settings.
+     * 
+     * When the server is stopped (e.g. on SIGTERM) it reports itself as not ready, waits 'drainDelay' milliseconds, stops
+     * accepting new requests and WebSocket upgrades, closes WebSocket connections and waits for in-flight requests to
+     * finish before calling the 'onShutdown' methods on components.
+     * 
+     * Accepts the following options:
+     * - drainDelay: Number of milliseconds to keep serving requests after readiness has been flipped to unhealthy (default: 0).
+     * - gracePeriod: Number of milliseconds to wait for in-flight requests to finish (default: 10000).
+     * - hookTimeout: Number of milliseconds to wait for each component's 'onShutdown' method (default: 10000).
+     * - deadline: Number of milliseconds after which all remaining connections are forcibly closed (default: 30000).
+     * 
+     * This key is not required and can be safely omitted.
+     */
+    shutdown: {
+        drainDelay: 0,
+        gracePeriod: 10000,
+        hookTimeout: 10000,
+        deadline: 30000
+    },
+
+    /**
+     * API validation settings.
+     * 
+     * The '.openapi' declarations on endpoint handlers (parameters, request bodies and responses) can be enforced by the server,
+     * resolving '$ref's against the 'components' exported by the component modules.
+     * 
+     * Accepts the following options:
+     * - validateRequests: Reject requests whose parameters or body do not match the declaration with 400 and a problem document (default: false).
+     * - validateResponses: Log responses that do not match the declared responses, intended for development (default: false).
+     * 
+     * This key is not required and can be safely omitted. Changes are applied on reload.
+     */
+    openapi: {
+        validateRequests: true,
+        validateResponses: false
+    },
+
     /**
      * settings for the built-in logger module.
      * 
@@ -46,6 +148,21 @@ module.exports = {
      * - console: boolean to determine where if the logged messages should also be printed to the console (default: true).
      * - logDir: The directory on the local machine where log files should be written (default: '/morrigan.server/logs').
      * - level: The level of messages to log (see: https://www.npmjs.com/package/winston#logging-levels).
+     * - format: 'text' (default) for 'timestamp level | message' lines, or 'json' to write each entry as a JSON object
+     *   including the server ID, hostname, component name and request ID (see "Logging" in the README).
+     * - transports: An array of transport definitions, replacing 'console' and 'logDir'. Each definition has a 'type'
+     *   ('console', 'file', 'syslog', 'http' or 'mongo'), an optional 'level' and 'format' overriding the ones above, and
+     *   the options for that type (see "Log transports" in the README). File logging is disabled by leaving out 'file'
+     *   transports, e.g.:
+     *       transports: [
+     *           { type: 'console' },
+     *           { type: 'syslog', host: 'logs.example.com', protocol: 'tcp', facility: 'local0' },
+     *           { type: 'mongo', level: 'debug' }
+     *       ]
+     * - componentLevels: Levels to use for the entries logged by specific components, by component name (e.g. { auth: 'debug' }).
+     * - levelTimeout: Number of milliseconds after which levels changed with 'setLogLevel' or '/api/logs/levels' revert to
+     *   these settings (default: 3600000, 0 to keep them until they are changed again).
+     * - levelSyncInterval: Number of milliseconds between checks for levels changed on other instances (default: 5000).
      * 
      * None of these options are mandatory.
      * 
@@ -53,7 +170,29 @@ module.exports = {
     logger: {
         console: true,
         logDir: "/morrigan.server/logs",
-        level: 'info'
+        level: 'info',
+        format: 'text'
+    },
+
+    /**
+     * Distributed tracing of HTTP requests, component hooks and DataStore operations (see "Tracing" in the README).
+     *
+     * Accepts the following options:
+     * - enabled: Whether spans are recorded and exported (default: false).
+     * - serviceName: The name of the service reported to the collector (default: 'morrigan').
+     * - sampleRatio: The ratio of new traces to record, between 0 and 1 (default: 1).
+     * - exporter: 'otlp' (default) to send spans to an OpenTelemetry collector using OTLP/HTTP, or 'memory' to keep them in memory.
+     * - url: The OTLP/HTTP traces endpoint of the collector (default: 'http://localhost:4318/v1/traces').
+     * - headers: Additional headers to send to the collector, e.g. for authentication.
+     * - flushInterval: Number of milliseconds between exports (default: 5000).
+     * - maxBatchSize: Number of finished spans that triggers an export before the interval has passed (default: 512).
+     *
+     * This setting can be omitted, which disables tracing.
+     */
+    tracing: {
+        enabled: false,
+        serviceName: 'morrigan',
+        url: 'http://localhost:4318/v1/traces'
     },
 
     /**
@@ -63,6 +202,9 @@ module.exports = {
      * - module: Name of a module to load. This key is required (any component without it will be skipped).
      * - providers: An array of names for modules that the component should use as providers.
      *   This key is not required, but is used by both built-in components to specify what functionality to provide.
+     * - dependsOn: An array of names of other components that this component depends on. The component's 'setup' method
+     *   will only be called once the components it depends on have finished their setup, and its 'onShutdown' method
+     *   will be called before theirs. Overrides any 'dependsOn' array exported by the module.
      * 
      * This setting can be omitted, but this will result in a server without any functionality.
      */
@@ -0,0 +1,50 @@
+/**
+ * Describes the verified certificate presented by the peer on a TLS socket.
+ *
+ * @param {object} socket The socket of a request (a tls.TLSSocket for HTTPS servers).
+ * @returns An object with the 'subject', 'issuer' (both with the attributes of the distinguished name, e.g. 'CN'),
+ *  'subjectAltName', 'fingerprint' (SHA-256, colon-separated hex), 'serialNumber', 'validFrom' and 'validTo' (Dates)
+ *  of the certificate, or null if the socket is not a TLS socket, no certificate was presented, or the certificate
+ *  could not be verified against the trusted CAs.
+ */
+function getPeerCertificate(socket) {
+    if (!socket || typeof socket.getPeerCertificate !== 'function' || !socket.authorized) {
+        return null
+    }
+
+    let cert = socket.getPeerCertificate()
+    if (!cert || Object.keys(cert).length === 0) {
+        return null
+    }
+
+    return {
+        subject: Object.assign({}, cert.subject),
+        issuer: Object.assign({}, cert.issuer),
+        subjectAltName: cert.subjectaltname,
+        fingerprint: cert.fingerprint256,
+        serialNumber: cert.serialNumber,
+        validFrom: new Date(cert.valid_from),
+        validTo: new Date(cert.valid_to)
+    }
+}
+
+/**
+ * Middleware that attaches the verified client certificate of the connection to the request as 'req.clientCertificate'
+ * (see 'getPeerCertificate'), or null if there is none.
+ *
+ * WebSocket upgrade requests pass through the same middleware, so the certificate is also available on the request
+ * passed to WebSocket handlers.
+ *
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @param {function} next Function to call to pass the request on.
+ */
+function clientCertificate(req, res, next) {
+    req.clientCertificate = getPeerCertificate(req.socket)
+    next()
+}
+
+module.exports = {
+    getPeerCertificate,
+    clientCertificate
+}
@@ -0,0 +1,703 @@
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+const { performance } = require('perf_hooks')
+
+/**
+ * Default tracing settings.
+ *
+ * - enabled: Whether spans are recorded and exported.
+ * - serviceName: Name of the service reported to the exporter ('service.name' resource attribute).
+ * - sampleRatio: Ratio of traces started by this server that are recorded (traces continued from a 'traceparent'
+ *   header follow the caller's decision).
+ * - exporter: 'otlp' to send spans to an OpenTelemetry collector over OTLP/HTTP (JSON), 'memory' to keep them in
+ *   memory (see 'InMemoryExporter'), or an object with an 'export(spans)' method.
+ * - url: URL of the OTLP/HTTP traces endpoint.
+ * - headers: Additional headers to send to the OTLP endpoint (e.g. for authentication).
+ * - flushInterval: Number of milliseconds between exports of finished spans.
+ * - maxBatchSize: Number of finished spans that triggers an export before the interval has passed.
+ */
+const defaults = {
+    enabled: false,
+    serviceName: 'morrigan',
+    sampleRatio: 1,
+    exporter: 'otlp',
+    url: 'http://localhost:4318/v1/traces',
+    headers: {},
+    flushInterval: 5000,
+    maxBatchSize: 512
+}
+
+/**
+ * Maximum number of finished spans kept while waiting for an export, further spans are dropped.
+ */
+const maxQueueSize = 2048
+
+/**
+ * Format of the W3C 'traceparent' header (see: https://www.w3.org/TR/trace-context/#traceparent-header).
+ */
+const traceParentFormat = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
+
+/**
+ * Span kinds, with their OTLP codes.
+ */
+const spanKinds = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 }
+
+/**
+ * Span status codes, with their OTLP codes.
+ */
+const statusCodes = { unset: 0, ok: 1, error: 2 }
+
+/**
+ * Collection methods that are recorded as spans when tracing DataStore operations.
+ */
+const collectionOperations = [
+    'aggregate', 'bulkWrite', 'countDocuments', 'createIndex', 'deleteMany', 'deleteOne', 'distinct', 'drop',
+    'estimatedDocumentCount', 'find', 'findOne', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate',
+    'insertMany', 'insertOne', 'replaceOne', 'updateMany', 'updateOne'
+]
+
+/**
+ * Cursor methods that run the query of a cursor returned by 'find' or 'aggregate'.
+ */
+const cursorOperations = [ 'toArray', 'forEach', 'next', 'hasNext' ]
+
+/**
+ * Returns the current time in nanoseconds since the epoch.
+ */
+function now() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6))
+}
+
+function randomId(bytes) {
+    let id = crypto.randomBytes(bytes).toString('hex')
+    return /^0+$/.test(id) ? randomId(bytes) : id
+}
+
+/**
+ * A timed operation in a trace.
+ *
+ * Spans that are not sampled are not recording: they carry the trace context (so that it is propagated to child
+ * spans and other services) but are not exported.
+ */
+class Span {
+
+    name = null
+    kind = 'internal'
+    traceId = null
+    spanId = null
+    parentSpanId = null
+    sampled = true
+    startTime = null
+    endTime = null
+    attributes = {}
+    events = []
+    status = { code: 'unset' }
+
+    _onEnd = null
+
+    constructor(name, options, onEnd) {
+        this.name = name
+        this.kind = options.kind || 'internal'
+        this.traceId = options.traceId
+        this.spanId = randomId(8)
+        this.parentSpanId = options.parentSpanId || null
+        this.sampled = options.sampled !== false
+        this.startTime = now()
+        this._onEnd = onEnd
+
+        this.setAttributes(options.attributes)
+    }
+
+    /**
+     * Returns true if the span is recorded (sampled and not ended).
+     */
+    isRecording() {
+        return this.sampled && this.endTime === null
+    }
+
+    /**
+     * Returns the trace context of the span ('traceId', 'spanId' and 'sampled').
+     */
+    spanContext() {
+        return { traceId: this.traceId, spanId: this.spanId, sampled: this.sampled }
+    }
+
+    /**
+     * Returns the value of the W3C 'traceparent' header identifying this span, to pass the trace context on to other services.
+     */
+    toTraceParent() {
+        return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`
+    }
+
+    updateName(name) {
+        this.name = name
+        return this
+    }
+
+    setAttribute(key, value) {
+        if (this.isRecording() && value !== undefined && value !== null) {
+            this.attributes[key] = value
+        }
+        return this
+    }
+
+    setAttributes(attributes) {
+        Object.keys(attributes || {}).forEach(key => this.setAttribute(key, attributes[key]))
+        return this
+    }
+
+    addEvent(name, attributes) {
+        if (this.isRecording()) {
+            this.events.push({ name, time: now(), attributes: attributes || {} })
+        }
+        return this
+    }
+
+    /**
+     * Sets the status of the span.
+     *
+     * @param {string} code 'unset', 'ok' or 'error'.
+     * @param {string} message Optional description (for errors).
+     */
+    setStatus(code, message) {
+        if (this.isRecording()) {
+            this.status = message ? { code, message } : { code }
+        }
+        return this
+    }
+
+    /**
+     * Records an error as an 'exception' event and sets the status of the span to 'error'.
+     *
+     * @param {*} err The error.
+     */
+    recordException(err) {
+        let message = (err && err.message) || `${err}`
+        this.addEvent('exception', {
+            'exception.type': (err && err.constructor && err.constructor.name) || typeof err,
+            'exception.message': message,
+            'exception.stacktrace': err && err.stack
+        })
+        return this.setStatus('error', message)
+    }
+
+    /**
+     * Ends the span, it is exported if it is sampled. Calls after the first are ignored.
+     */
+    end() {
+        if (this.endTime !== null) {
+            return
+        }
+        this.endTime = now()
+        this._onEnd(this)
+    }
+}
+
+/**
+ * Exporter keeping finished spans in memory, for tests.
+ */
+class InMemoryExporter {
+
+    spans = []
+
+    async export(spans) {
+        spans.forEach(s => this.spans.push(s))
+    }
+
+    /**
+     * Returns the spans exported so far.
+     */
+    getFinishedSpans() {
+        return this.spans
+    }
+
+    reset() {
+        this.spans = []
+    }
+}
+
+/**
+ * Exporter sending spans to an OpenTelemetry collector using OTLP/HTTP with JSON encoding
+ * (see: https://opentelemetry.io/docs/specs/otlp/#otlphttp).
+ */
+class OtlpHttpExporter {
+
+    url = null
+    headers = {}
+    resource = null
+
+    /**
+     * Main constructor.
+     *
+     * @param {object} options Object with the 'url' of the traces endpoint, 'headers' and the 'serviceName' and 'serviceVersion'.
+     */
+    constructor(options) {
+        this.url = new URL(options.url)
+        this.headers = options.headers || {}
+        this.resource = {
+            attributes: [
+                toKeyValue('service.name', options.serviceName),
+                toKeyValue('service.version', options.serviceVersion),
+                toKeyValue('service.instance.id', options.serviceInstanceId)
+            ].filter(a => a !== null)
+        }
+    }
+
+    /**
+     * Builds the OTLP request body for the given spans.
+     *
+     * @param {Array} spans Finished spans.
+     */
+    buildRequest(spans) {
+        return {
+            resourceSpans: [ {
+                resource: this.resource,
+                scopeSpans: [ {
+                    scope: { name: 'morrigan.server' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: spanKinds[span.kind] || spanKinds.internal,
+                        startTimeUnixNano: `${span.startTime}`,
+                        endTimeUnixNano: `${span.endTime}`,
+                        attributes: Object.keys(span.attributes).map(k => toKeyValue(k, span.attributes[k])).filter(a => a !== null),
+                        events: span.events.map(e => ({
+                            name: e.name,
+                            timeUnixNano: `${e.time}`,
+                            attributes: Object.keys(e.attributes).map(k => toKeyValue(k, e.attributes[k])).filter(a => a !== null)
+                        })),
+                        status: { code: statusCodes[span.status.code] || 0, message: span.status.message }
+                    }))
+                } ]
+            } ]
+        }
+    }
+
+    export(spans) {
+        let body = JSON.stringify(this.buildRequest(spans))
+        let transport = require(this.url.protocol === 'https:' ? 'https' : 'http')
+
+        return new Promise((resolve, reject) => {
+            let req = transport.request(this.url, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, this.headers),
+                timeout: 10000
+            }, res => {
+                res.resume()
+                res.on('end', () => res.statusCode < 300 ? resolve() : reject(new Error(`OTLP endpoint responded with status ${res.statusCode}.`)))
+            })
+            req.on('timeout', () => req.destroy(new Error('Timed out sending spans to the OTLP endpoint.')))
+            req.on('error', reject)
+            req.end(body)
+        })
+    }
+}
+
+/**
+ * Converts an attribute to an OTLP key-value object.
+ */
+function toKeyValue(key, value) {
+    switch (typeof value) {
+        case 'string': return { key, value: { stringValue: value } }
+        case 'boolean': return { key, value: { boolValue: value } }
+        case 'number': return { key, value: Number.isInteger(value) ? { intValue: value } : { doubleValue: value } }
+        case 'undefined': return null
+        default: return value === null ? null : { key, value: { stringValue: `${value}` } }
+    }
+}
+
+/**
+ * Class used to record and export spans.
+ *
+ * The active span is carried through an async context, so spans started while handling a request (or running a
+ * component hook) become its children without passing it around.
+ */
+class Tracer {
+
+    settings = null
+    exporter = null
+
+    _context = new AsyncLocalStorage()
+    _queue = []
+    _interval = null
+    _exporting = null
+
+    log = (msg, level) => { level = level || 'info'; console.log(`${level}: ${msg}`) }
+
+    /**
+     * Main constructor.
+     *
+     * @param {object} settings The 'tracing' section of the server settings (see 'defaults').
+     * @param {object} info Server info object (see server.info.js), used to identify the service.
+     * @param {function} log Logging function.
+     */
+    constructor(settings, info, log) {
+        if (typeof log === 'function') {
+            this.log = log
+        }
+
+        this.settings = Tracer.getSettings(settings)
+
+        if (!this.settings.enabled) {
+            return
+        }
+
+        switch (this.settings.exporter) {
+            case 'otlp':
+                this.exporter = new OtlpHttpExporter({
+                    url: this.settings.url,
+                    headers: this.settings.headers,
+                    serviceName: this.settings.serviceName,
+                    serviceVersion: info && info.version,
+                    serviceInstanceId: info && info.id
+                })
+                break
+            case 'memory':
+                this.exporter = new InMemoryExporter()
+                break
+            default:
+                this.exporter = this.settings.exporter
+        }
+    }
+
+    /**
+     * Merges the given tracing settings with the defaults.
+     *
+     * @param {object} settings The 'tracing' section of the server settings.
+     * @returns Tracing settings object.
+     */
+    static getSettings(settings) {
+        return Object.assign({}, defaults, settings || {})
+    }
+
+    /**
+     * Parses a W3C 'traceparent' header.
+     *
+     * @param {string} header Value of the header.
+     * @returns An object with 'traceId', 'spanId' and 'sampled', or null if the header is missing or invalid.
+     */
+    static parseTraceParent(header) {
+        let m = typeof header === 'string' ? traceParentFormat.exec(header.trim().toLowerCase()) : null
+        if (!m || m[1] === 'ff' || (m[1] === '00' && m[5]) || /^0+$/.test(m[2]) || /^0+$/.test(m[3])) {
+            return null
+        }
+        return { traceId: m[2], spanId: m[3], sampled: (parseInt(m[4], 16) & 1) === 1 }
+    }
+
+    /**
+     * Returns the active span, or undefined.
+     */
+    getActiveSpan() {
+        return this._context.getStore()
+    }
+
+    /**
+     * Starts a span. The span is not active until it is passed to 'withSpan'.
+     *
+     * @param {string} name Name of the span.
+     * @param {object} options Optional settings:
+     *  - kind {string}: 'internal' (default), 'server', 'client', 'producer' or 'consumer'.
+     *  - attributes {object}: Attributes of the span.
+     *  - parent {object}: Parent span or trace context (with 'traceId', 'spanId' and 'sampled'). Defaults to the active
+     *    span, pass null to start a new trace.
+     * @returns The span.
+     */
+    startSpan(name, options) {
+        options = options || {}
+
+        let parent = options.parent === undefined ? this.getActiveSpan() : options.parent
+        let context = parent ? (typeof parent.spanContext === 'function' ? parent.spanContext() : parent) : null
+
+        return new Span(name, {
+            kind: options.kind,
+            attributes: options.attributes,
+            traceId: context ? context.traceId : randomId(16),
+            parentSpanId: context ? context.spanId : null,
+            sampled: this.settings.enabled && (context ? context.sampled : Math.random() < this.settings.sampleRatio)
+        }, span => this._onEnd(span))
+    }
+
+    /**
+     * Calls a function with the given span as the active span.
+     *
+     * @param {object} span The span.
+     * @param {function} fn The function.
+     * @returns The value returned by the function.
+     */
+    withSpan(span, fn) {
+        return this._context.run(span, fn)
+    }
+
+    /**
+     * Starts a span, calls a function with it as the active span, and ends it once the function has finished. If the
+     * function throws (or returns a promise that is rejected), the error is recorded on the span.
+     *
+     * @param {string} name Name of the span.
+     * @param {object} options Options for the span (see 'startSpan').
+     * @param {function} fn Function called with the span.
+     * @returns The value returned by the function.
+     */
+    startActiveSpan(name, options, fn) {
+        let span = this.startSpan(name, options)
+        const fail = err => {
+            span.recordException(err)
+            span.end()
+            throw err
+        }
+
+        let result = null
+        try {
+            result = this.withSpan(span, () => fn(span))
+        } catch (err) {
+            fail(err)
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.then(value => {
+                span.end()
+                return value
+            }, fail)
+        }
+
+        span.end()
+        return result
+    }
+
+    _onEnd(span) {
+        if (!span.sampled || !this.exporter) {
+            return
+        }
+
+        if (this._queue.length >= maxQueueSize) {
+            return
+        }
+
+        this._queue.push(span)
+        if (this._interval && this._queue.length >= this.settings.maxBatchSize) {
+            this.flush()
+        }
+    }
+
+    /**
+     * Exports the finished spans.
+     */
+    async flush() {
+        if (this._exporting) {
+            await this._exporting
+        }
+
+        if (this._queue.length === 0 || !this.exporter) {
+            return
+        }
+
+        let spans = this._queue
+        this._queue = []
+
+        this._exporting = Promise.resolve()
+            .then(() => this.exporter.export(spans))
+            .catch(err => this.log(`Failed to export ${spans.length} spans: ${err.message || err}`, 'warn'))
+            .finally(() => this._exporting = null)
+
+        await this._exporting
+    }
+
+    /**
+     * Starts exporting finished spans at the configured interval (spans finished before this are queued).
+     */
+    start() {
+        if (!this.exporter || this._interval) {
+            return
+        }
+
+        this._interval = setInterval(() => this.flush(), this.settings.flushInterval)
+        this._interval.unref()
+    }
+
+    /**
+     * Stops the export interval and exports the remaining spans.
+     */
+    async shutdown() {
+        clearInterval(this._interval)
+        this._interval = null
+        await this.flush()
+    }
+
+    /**
+     * Returns a middleware that records a 'server' span for each request, continuing the trace from the 'traceparent'
+     * header if present. The span is active while the request is handled, and its 'traceparent' is available as
+     * 'req.traceparent'.
+     *
+     * @returns Express middleware.
+     */
+    middleware() {
+        return (req, res, next) => {
+            // WebSocket connections are long-lived, spans are left to the handlers:
+            if (req.ws) {
+                return next()
+            }
+
+            let span = this.startSpan(req.method, {
+                kind: 'server',
+                parent: Tracer.parseTraceParent(req.headers.traceparent),
+                attributes: {
+                    'http.request.method': req.method,
+                    'url.path': req.path,
+                    'client.address': req.socket.remoteAddress,
+                    'user_agent.original': req.headers['user-agent']
+                }
+            })
+            req.traceparent = span.toTraceParent()
+
+            res.on('finish', () => {
+                if (req.route) {
+                    let route = `${req.baseUrl || ''}${req.route.path}`
+                    span.updateName(`${req.method} ${route}`)
+                    span.setAttribute('http.route', route)
+                }
+                span.setAttribute('http.response.status_code', res.statusCode)
+                if (res.statusCode >= 500) {
+                    span.setStatus('error')
+                }
+                span.end()
+            })
+
+            this.withSpan(span, next)
+        }
+    }
+
+    /**
+     * Wraps a DataStore so that operations on its collections are recorded as 'client' spans.
+     *
+     * @param {object} dataStore The DataStore (see morrigan.utils.datastore).
+     * @param {string} componentName Name of the component using the DataStore.
+     * @returns The wrapped DataStore, or the DataStore itself if tracing is disabled.
+     */
+    wrapDataStore(dataStore, componentName) {
+        if (!this.settings.enabled || !dataStore) {
+            return dataStore
+        }
+
+        const tracer = this
+        const namespace = typeof dataStore.getNamespace === 'function' ? dataStore.getNamespace() : undefined
+
+        const wrapCollection = (collection) => {
+            if (!collection || typeof collection !== 'object') {
+                return collection
+            }
+
+            const attributes = operation => ({
+                'db.system': 'mongodb',
+                'db.collection.name': collection.collectionName,
+                'db.namespace': namespace,
+                'db.operation.name': operation,
+                'morrigan.component': componentName
+            })
+
+            return new Proxy(collection, {
+                get(target, prop) {
+                    let value = Reflect.get(target, prop, target)
+                    if (typeof value !== 'function' || !collectionOperations.includes(prop)) {
+                        return typeof value === 'function' ? value.bind(target) : value
+                    }
+
+                    return (...args) => {
+                        if (prop === 'find' || prop === 'aggregate') {
+                            return tracer._wrapCursor(value.apply(target, args), `${prop} ${target.collectionName}`, attributes(prop))
+                        }
+                        return tracer.startActiveSpan(`${prop} ${target.collectionName}`, { kind: 'client', attributes: attributes(prop) }, () => value.apply(target, args))
+                    }
+                }
+            })
+        }
+
+        return new Proxy(dataStore, {
+            get(target, prop) {
+                let value = Reflect.get(target, prop, target)
+                if (typeof value !== 'function') {
+                    return value
+                }
+
+                switch (prop) {
+                    case 'collection':
+                    case 'getCollection':
+                    case 'createCollection':
+                        return (...args) => {
+                            let result = value.apply(target, args)
+                            return (result && typeof result.then === 'function') ? result.then(wrapCollection) : wrapCollection(result)
+                        }
+                    case 'getDataStore':
+                        return async (...args) => tracer.wrapDataStore(await value.apply(target, args), componentName)
+                    default:
+                        return value.bind(target)
+                }
+            }
+        })
+    }
+
+    /**
+     * Wraps a cursor so that running its query is recorded as a span. Methods that return the cursor (e.g. 'sort')
+     * return the wrapped cursor.
+     */
+    _wrapCursor(cursor, name, attributes) {
+        if (!cursor || typeof cursor !== 'object') {
+            return cursor
+        }
+
+        const tracer = this
+        const proxy = new Proxy(cursor, {
+            get(target, prop) {
+                let value = Reflect.get(target, prop, target)
+                if (typeof value !== 'function') {
+                    return value
+                }
+
+                if (cursorOperations.includes(prop)) {
+                    return (...args) => tracer.startActiveSpan(name, { kind: 'client', attributes }, () => value.apply(target, args))
+                }
+
+                return (...args) => {
+                    let result = value.apply(target, args)
+                    return result === target ? proxy : result
+                }
+            }
+        })
+        return proxy
+    }
+
+    /**
+     * Builds the tracing API object passed to a component through its environment.
+     *
+     * Spans started by the component are tagged with its name ('morrigan.component').
+     *
+     * @param {string} componentName Name of the component.
+     * @returns An object with the 'startSpan', 'startActiveSpan', 'withSpan' and 'getActiveSpan' methods.
+     */
+    getScope(componentName) {
+        const withComponent = options => {
+            options = Object.assign({}, options)
+            options.attributes = Object.assign({ 'morrigan.component': componentName }, options.attributes)
+            return options
+        }
+
+        return {
+            startSpan: (name, options) => this.startSpan(name, withComponent(options)),
+            startActiveSpan: (name, options, fn) => {
+                if (typeof options === 'function') {
+                    fn = options
+                    options = {}
+                }
+                return this.startActiveSpan(name, withComponent(options), fn)
+            },
+            withSpan: (span, fn) => this.withSpan(span, fn),
+            getActiveSpan: () => this.getActiveSpan()
+        }
+    }
+}
+
+Tracer.Span = Span
+Tracer.InMemoryExporter = InMemoryExporter
+Tracer.OtlpHttpExporter = OtlpHttpExporter
+
+module.exports = Tracer
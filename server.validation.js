@@ -0,0 +1,361 @@
+const Ajv = require('ajv')
+const { transportTypes, syslogFacilities } = require(`${__dirname}/logger.transports`)
+
+/**
+ * Logging levels recognized by the logger (see: https://www.npmjs.com/package/winston#logging-levels).
+ */
+const logLevels = [ 'error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly' ]
+
+/**
+ * Keys in a component specification that are used by the server, these are not passed to a component's 'settingsSchema'.
+ */
+const serverSpecificationKeys = [ 'module', 'dependsOn', 'endpointUrl' ]
+
+const milliseconds = { type: 'integer', minimum: 0 }
+
+const logFormats = [ 'text', 'json' ]
+
+/**
+ * JSON Schema for log transport definitions ('logger.transports'). Options not listed here are passed on to the underlying winston transports.
+ */
+const logTransport = {
+    type: 'object',
+    required: [ 'type' ],
+    properties: {
+        type: { enum: transportTypes },
+        level: { enum: logLevels },
+        format: { enum: logFormats }
+    },
+    allOf: [
+        {
+            if: { properties: { type: { const: 'file' } } },
+            then: {
+                properties: {
+                    dirname: { type: 'string', minLength: 1 },
+                    filename: { type: 'string', minLength: 1 },
+                    datePattern: { type: 'string', minLength: 1 },
+                    zippedArchive: { type: 'boolean' },
+                    maxSize: { type: [ 'string', 'integer' ] },
+                    maxFiles: { type: [ 'string', 'integer' ] }
+                }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'syslog' } } },
+            then: {
+                properties: {
+                    host: { type: 'string', minLength: 1 },
+                    port: { type: 'integer', minimum: 1, maximum: 65535 },
+                    protocol: { enum: [ 'udp', 'tcp' ] },
+                    facility: { enum: Object.keys(syslogFacilities) },
+                    appName: { type: 'string', minLength: 1 }
+                }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'http' } } },
+            then: {
+                required: [ 'url' ],
+                properties: {
+                    url: { type: 'string', pattern: '^https?://' },
+                    headers: { type: 'object', additionalProperties: { type: 'string' } },
+                    batch: { type: 'boolean' },
+                    batchInterval: { type: 'integer', minimum: 1 },
+                    batchCount: { type: 'integer', minimum: 1 }
+                }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'mongo' } } },
+            then: {
+                properties: {
+                    collection: { type: 'string', minLength: 1 },
+                    size: { type: 'integer', minimum: 4096 },
+                    max: { type: 'integer', minimum: 1 }
+                }
+            }
+        }
+    ]
+}
+
+/**
+ * JSON Schema for the settings of a HTTP(S) listener, used both for the 'http' settings and for the definitions in 'http.listeners'.
+ */
+const httpListenerProperties = {
+    port: { type: 'integer', minimum: 0, maximum: 65535 },
+    address: { type: 'string', minLength: 1 },
+    socketPath: { type: 'string', minLength: 1 },
+    socketMode: { type: 'string', pattern: '^[0-7]{3,4}$' },
+    secure: { type: 'boolean' },
+    certType: { enum: [ 'pem', 'pfx' ] },
+    certPath: { type: 'string', minLength: 1 },
+    keyPath: { type: 'string', minLength: 1 },
+    passphrase: { type: 'string' },
+    caPath: {
+        anyOf: [
+            { type: 'string', minLength: 1 },
+            { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+        ]
+    },
+    requestCert: { type: 'boolean' },
+    rejectUnauthorized: { type: 'boolean' },
+    selfSigned: { type: 'boolean' },
+    watchCertificates: { type: 'boolean' },
+    expiryWarning: { type: 'integer', minimum: 0 },
+    hostname: { type: 'string', minLength: 1 }
+}
+
+/**
+ * JSON Schema for the server settings object (see server.settings.sample.js).
+ */
+const schema = {
+    type: 'object',
+    required: [ 'database' ],
+    additionalProperties: false,
+    properties: {
+        stateDir: { type: 'string', minLength: 1 },
+        http: {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.assign({}, httpListenerProperties, {
+                publicUrl: { type: 'string', pattern: '^https?://' },
+                trustProxy: {
+                    anyOf: [
+                        { type: 'boolean' },
+                        { type: 'integer', minimum: 0 },
+                        { type: 'string', minLength: 1 },
+                        { type: 'array', items: { type: 'string', minLength: 1 } }
+                    ]
+                },
+                listeners: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        anyOf: [ { required: [ 'port' ] }, { required: [ 'socketPath' ] } ],
+                        additionalProperties: false,
+                        properties: Object.assign({}, httpListenerProperties, {
+                            redirect: { type: 'boolean' },
+                            preferred: { type: 'boolean' }
+                        })
+                    }
+                }
+            })
+        },
+        database: {
+            type: 'object',
+            required: [ 'connectionString' ],
+            additionalProperties: false,
+            properties: {
+                connectionString: { type: 'string', minLength: 1 },
+                dbname: { type: 'string', minLength: 1 }
+            }
+        },
+        cluster: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                checkInInterval: { type: 'integer', minimum: 1 },
+                staleAfter: milliseconds,
+                deadAfter: milliseconds,
+                leaseTTL: { type: 'integer', minimum: 1 },
+                leaseRenewInterval: { type: 'integer', minimum: 1 }
+            }
+        },
+        shutdown: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                drainDelay: milliseconds,
+                gracePeriod: milliseconds,
+                hookTimeout: milliseconds,
+                deadline: milliseconds
+            }
+        },
+        openapi: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                validateRequests: { type: 'boolean' },
+                validateResponses: { type: 'boolean' }
+            }
+        },
+        logger: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                console: { type: 'boolean' },
+                logDir: { type: 'string' },
+                level: { enum: logLevels },
+                format: { enum: logFormats },
+                transports: { type: 'array', items: logTransport },
+                componentLevels: { type: 'object', additionalProperties: { enum: logLevels } },
+                levelTimeout: { type: 'integer', minimum: 0 },
+                levelSyncInterval: { type: 'integer', minimum: 100 }
+            }
+        },
+        tracing: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: { type: 'boolean' },
+                serviceName: { type: 'string', minLength: 1 },
+                sampleRatio: { type: 'number', minimum: 0, maximum: 1 },
+                // Exporters can also be objects with an 'export' method, which JSON Schema cannot describe:
+                exporter: { anyOf: [ { enum: [ 'otlp', 'memory' ] }, { type: 'object' } ] },
+                url: { type: 'string', pattern: '^https?://' },
+                headers: { type: 'object', additionalProperties: { type: 'string' } },
+                flushInterval: { type: 'integer', minimum: 100 },
+                maxBatchSize: { type: 'integer', minimum: 1 }
+            }
+        },
+        components: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: [ 'module' ],
+                properties: {
+                    // Modules can be pre-loaded functions, which JSON Schema cannot describe (see 'validate'):
+                    module: {},
+                    providers: { type: 'array', items: { type: 'string' } },
+                    dependsOn: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false })
+const validateSettings = ajv.compile(schema)
+
+/**
+ * Converts the errors reported by Ajv into validation report entries.
+ *
+ * @param {Array} errors Errors reported by an Ajv validation function.
+ * @param {string} basePath JSON pointer to prefix the paths with.
+ * @param {string} component Optional name of the component whose schema reported the errors.
+ * @returns Array of report entries.
+ */
+function convertErrors(errors, basePath, component) {
+    // Failed 'if' keywords only point at the errors reported for the 'then' schema:
+    return (errors || []).filter(err => err.keyword !== 'if').map(err => {
+        let path = basePath + err.instancePath
+        let message = err.message
+
+        switch (err.keyword) {
+            case 'required':
+                path = `${path}/${err.params.missingProperty}`
+                message = 'is required'
+                break
+            case 'additionalProperties':
+                path = `${path}/${err.params.additionalProperty}`
+                message = 'is not a recognized setting'
+                break
+            case 'enum':
+                message = `must be one of: ${err.params.allowedValues.join(', ')}`
+                break
+        }
+
+        let entry = { path: path || '/', message, keyword: err.keyword }
+        if (component) {
+            entry.component = component
+        }
+        return entry
+    })
+}
+
+/**
+ * Validates the server settings against the settings schema.
+ *
+ * @param {object} settings The server settings.
+ * @param {object} options Optional settings. Recognizes the following keys:
+ *  - reservedComponentNames {Array}: Component names that may not be used.
+ * @returns A validation report: an object with the keys 'valid' and 'errors' (an array of objects with the keys 'path', 'message' and 'keyword').
+ */
+function validate(settings, options) {
+    options = options || {}
+
+    let errors = []
+
+    if (settings === null || typeof settings !== 'object') {
+        errors.push({ path: '/', message: 'must be an object', keyword: 'type' })
+        return { valid: false, errors }
+    }
+
+    if (!validateSettings(settings)) {
+        errors = errors.concat(convertErrors(validateSettings.errors, ''))
+    }
+
+    let componentSpecs = settings.components
+    if (componentSpecs && typeof componentSpecs === 'object') {
+        Object.keys(componentSpecs).forEach(name => {
+            let spec = componentSpecs[name]
+
+            if ((options.reservedComponentNames || []).includes(name)) {
+                errors.push({ path: `/components/${name}`, message: 'uses a component name reserved by the server', keyword: 'reserved' })
+            }
+
+            if (spec && spec.module !== undefined && ![ 'string', 'object', 'function' ].includes(typeof spec.module)) {
+                errors.push({ path: `/components/${name}/module`, message: 'must be a module name or a loaded module', keyword: 'type' })
+            }
+        })
+    }
+
+    return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Validates the specifications of loaded components against the 'settingsSchema' exported by their modules.
+ *
+ * Keys used by the server ('module', 'dependsOn' and 'endpointUrl') are removed from the specifications before validation.
+ *
+ * @param {Array} components Component records (with 'name', 'module' and 'specification').
+ * @returns Array of validation report entries, with the name of the component included as 'component'.
+ */
+function validateComponents(components) {
+    let errors = []
+
+    components.forEach(c => {
+        let componentSchema = c.module.settingsSchema
+        if (!componentSchema) {
+            return
+        }
+
+        let basePath = `/components/${c.name}`
+        let validateComponent = null
+        try {
+            validateComponent = ajv.compile(componentSchema)
+        } catch (e) {
+            errors.push({ path: basePath, message: `the component's settingsSchema is invalid: ${e.message}`, keyword: 'settingsSchema', component: c.name })
+            return
+        }
+
+        let spec = Object.assign({}, c.specification)
+        serverSpecificationKeys.forEach(k => delete spec[k])
+
+        if (!validateComponent(spec)) {
+            errors = errors.concat(convertErrors(validateComponent.errors, basePath, c.name))
+        }
+    })
+
+    return errors
+}
+
+/**
+ * Formats a validation report as a human-readable message.
+ *
+ * @param {object} report Validation report (see 'validate').
+ * @returns A message listing all errors in the report.
+ */
+function format(report) {
+    return [ 'Invalid server settings:' ].concat(report.errors.map(e => ` - ${e.path}: ${e.message}`)).join('\n')
+}
+
+module.exports = {
+    logLevels,
+    schema,
+    validate,
+    validateComponents,
+    convertErrors,
+    format
+}
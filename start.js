@@ -1,18 +1,78 @@
 const Morrigan = require('./server') 
-const serverSettings = require('./server.settings')
+const config = require('./server.config')
 
-process.title = "morrigan.server"
+/**
+ * Loads the settings (see server.config.js), starts the server and handles process signals:
+ * - SIGTERM/SIGINT: Stop the server and exit.
+ * - SIGHUP: Reload the settings.
+ * 
+ * @param {object} options Options passed to config.load ('argv', 'env' and 'baseDir').
+ * @returns The Morrigan server instance, or null if the settings could not be loaded or were only printed.
+ */
+function run(options) {
+    process.title = "morrigan.server"
 
-let morriganServer = new Morrigan(serverSettings)
-morriganServer.setup()
+    let loaded = null
+    try {
+        loaded = config.load(options)
+    } catch (err) {
+        console.error(`Failed to load server settings: ${err}`)
+        process.exitCode = 1
+        return null
+    }
 
-const handleStop = (e) => {
-    morriganServer.log(`Shutdown signal received: ${e}`)
-    morriganServer.stop(e)
+    if (loaded.args.printConfig) {
+        console.log(JSON.stringify(config.redact(loaded.settings), null, 4))
+        return null
+    }
+
+    let morriganServer = new Morrigan(loaded.settings)
+    morriganServer.log(`Using settings file: ${loaded.file || '(none, using defaults, environment and command line)'}`)
+    loaded.ignored.forEach(name => morriganServer.log(`Ignored environment variable '${name}', it does not match a known setting.`, 'debug'))
+    morriganServer.setup().catch(() => {
+        // The error (e.g. a settings validation report) has already been logged by the server.
+        process.exitCode = 1
+    })
+
+    const handleStop = (e) => {
+        morriganServer.log(`Shutdown signal received: ${e}`)
+        morriganServer.stop(e, () => {
+            // Components that failed to shut down in time may still be holding the process open:
+            process.exit()
+        })
+    }
+
+    const handleReload = (e) => {
+        morriganServer.log(`Reload signal received: ${e}`)
+
+        let newSettings = null
+        try {
+            newSettings = config.load(options).settings
+        } catch (err) {
+            morriganServer.log(`Failed to read server settings, keeping the current settings: ${err}`, 'error')
+            return
+        }
+
+        morriganServer.reload(newSettings).catch(err => {
+            morriganServer.log(`Failed to reload server settings: ${err}`, 'error')
+        })
+    }
+
+    process.on('SIGTERM', handleStop)
+    process.on('SIGINT',  handleStop)
+    process.on('SIGHUP',  handleReload)
+
+    morriganServer.start((err) => {
+        if (err) {
+            process.exitCode = 1
+        }
+    })
+
+    return morriganServer
 }
 
-process.on('SIGTERM', handleStop)
-process.on('SIGINT',  handleStop)
-process.on('SIGHUP',  handleStop)
+module.exports = run
 
-morriganServer.start()
\ No newline at end of file
+if (require.main === module) {
+    run({ baseDir: __dirname })
+}
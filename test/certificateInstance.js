@@ -0,0 +1,33 @@
+/**
+ * Runs a single Morrigan instance in a child process, so that the certificates loaded by its listeners can be checked
+ * while the test replaces the certificate files (the state store only allows one instance per process).
+ *
+ * Messages received from the parent process:
+ *  - { settings }: Creates and starts the instance, replies with { started }.
+ *  - 'status': Replies with { fingerprints } (the fingerprints of the certificates loaded by the listeners).
+ *  - 'stop': Stops the instance and exits.
+ *
+ * The process also exits if the parent process goes away (e.g. after a failed test), so that it does not keep running.
+ */
+const Morrigan = require('../server')
+
+let server = null
+
+process.on('disconnect', () => process.exit())
+
+process.on('message', async (msg) => {
+    if (msg === 'status') {
+        process.send({ fingerprints: server._listeners.filter(l => l.certificateInfo).map(l => l.certificateInfo.fingerprint) })
+        return
+    }
+
+    if (msg === 'stop') {
+        await server.stop('test')
+        process.exit()
+    }
+
+    server = new Morrigan(msg.settings)
+    await server.start((err) => {
+        process.send({ started: !err })
+    })
+})
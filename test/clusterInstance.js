@@ -0,0 +1,34 @@
+/**
+ * Runs a single Morrigan instance in a child process, so that several instances can take part in the same cluster
+ * during testing (the state store only allows one instance per process).
+ *
+ * Messages received from the parent process:
+ *  - { settings }: Creates and starts the instance, replies with { started, id }.
+ *  - 'status': Replies with { id, leader }.
+ *  - 'stop': Stops the instance and exits.
+ *
+ * The process also exits if the parent process goes away (e.g. after a failed test), so that it does not keep running.
+ */
+const Morrigan = require('../server')
+
+let server = null
+
+process.on('disconnect', () => process.exit())
+
+process.on('message', async (msg) => {
+    if (msg === 'status') {
+        process.send({ id: server.serverInfo.id, leader: server._leases.isLeader() })
+        return
+    }
+
+    if (msg === 'stop') {
+        await server.stop('test')
+        process.exit()
+    }
+
+    server = new Morrigan(msg.settings)
+    await server.start((err) => {
+        // 'serverInfo' is not set if the server failed before connecting to the database:
+        process.send({ started: !err, id: server.serverInfo ? server.serverInfo.id : null })
+    })
+})